@@ -26,6 +26,21 @@
  *       document/element events, and use a custom listener for all
  *       object derived events.
  * 
+ * Object events are matched on their whole name, for instance
+ * "modal.close" or "app.user.login". Namespaces follow a colon:
+ *   - addListener('modal.close:myWidget', fn)
+ *       Listens to modal.close under the "myWidget" namespace, so that
+ *       removeListener(':myWidget') can later drop every listener the
+ *       widget added.
+ *   - addListener('modal.*', fn)
+ *       A wildcard, called for every "modal." event. A lone '*' listens
+ *       to everything.
+ *   - addListener('modal.close', fn, 10)
+ *       Listeners with a higher priority run first, listeners that share
+ *       a priority run in the order they were added. Defaults to 0.
+ *   - once('modal.close', fn)
+ *       The listener is removed after the first time it runs.
+ * 
  * @requires {Logger}
  * 
  * @author Austin Shinpaugh
@@ -48,6 +63,10 @@
 		this.event_type     = '';
 		this.func_ref       = null;
 		this.func_params    = [];
+		this.namespaces     = [];
+		this.priority       = 0;
+		this.sequence       = 0;
+		this.run_once       = false;
 		
 		this._listeners     = {};
 		
@@ -58,53 +77,102 @@
 		/**
 		 * Add an eventable method to the stack.
 		 * 
-		 * @param string   type     The event you wish to bind.
+		 * @param string   type     The event you wish to bind, optionally
+		 *                          followed by namespaces.
 		 * @param function func_ref The function reference to keep track of.
+		 * @param int      priority Listeners with a higher priority run first.
+		 * 
+		 * @return Eventable
+		 */
+		addListener : function (type, func_ref, priority)
+		{
+			return this._addListener(type, func_ref, priority, false);
+		},
+		
+		/**
+		 * Add a listener that is removed after the first time it runs.
+		 * 
+		 * @param string   type
+		 * @param function func_ref
+		 * @param int      priority
+		 * 
+		 * @return Eventable
+		 */
+		once : function (type, func_ref, priority)
+		{
+			return this._addListener(type, func_ref, priority, true);
+		},
+		
+		/**
+		 * Does the heavy lifting for addListener() and once().
+		 * 
+		 * @param string|object type
+		 * @param function      func_ref
+		 * @param int           priority
+		 * @param boolean       run_once
 		 * 
 		 * @return Eventable
 		 */
-		addListener : function (type, func_ref)
+		_addListener : function (type, func_ref, priority, run_once)
 		{
-			var idx, event_style, listener;
+			var idx, event_style, parsed, listener, listeners;
 			if (typeof type === 'object') {
 				for (idx in type) {
 					if (typeof idx !== 'string') {
 						continue;
 					}
 					
-					this.addListener(idx, type[idx]);
+					this._addListener(idx, type[idx], func_ref, run_once);
 				}
 				
 				return this;
 			}
 			
-			var event_style = this.event_style;
-			if ($.inArray(type, Eventable._jqEvents) > -1) {
-				event_style = 'element';
-			}
-			
+			event_style = this._getEventStyle(type);
 			if (event_style == 'element') {
-				$(this.event_selector).bind(type, func_ref);
+				if (run_once) {
+					$(this.event_selector).one(Eventable.toJqueryType(type), func_ref);
+				} else {
+					$(this.event_selector).bind(Eventable.toJqueryType(type), func_ref);
+				}
+				
 				return this;
 			}
 			
-			var listener = new Eventable();
+			parsed   = Eventable.parseType(type);
+			listener = new Eventable();
 			listener.func_ref       = func_ref;
-			listener.event_type     = type;
+			listener.event_type     = parsed.type;
 			listener.event_style    = event_style;
 			listener.event_selector = this.event_selector;
+			listener.namespaces     = parsed.namespaces;
+			listener.priority       = priority || 0;
+			listener.sequence       = Eventable.sequence++;
+			listener.run_once       = run_once;
+			
+			if (typeof this._listeners[parsed.type] == 'undefined') {
+				this._listeners[parsed.type] = [];
+			}
 			
-			if (typeof this._listeners[type] == 'undefined') {
-				this._listeners[type] = [];
+			// Keep the stack sorted by priority, so trigger() doesn't have to.
+			listeners = this._listeners[parsed.type];
+			for (idx = listeners.length; idx > 0; idx--) {
+				if (listeners[idx - 1].priority >= listener.priority) {
+					break;
+				}
 			}
 			
-			this._listeners[type].push(listener);
+			listeners.splice(idx, 0, listener);
 			
 			return this;
 		},
 		
 		/**
-		 * Remove an event listener from the stack.
+		 * Remove event listeners from the stack.
+		 * 
+		 * Without a func_ref, every listener matching the type and
+		 * namespaces is removed. Passing only namespaces, as in
+		 * ':myWidget', removes them from every event.
 		 * 
 		 * @param string   type     The event type to unbind.
 		 * @param function func_ref The specific function to unbind.
@@ -113,27 +181,49 @@
 		 */
 		removeListener : function (type, func_ref)
 		{
-			if (this.event_style == 'element') {
-				$(this.event_selector).unbind(type, func_ref);
+			var parsed, types, key, listeners, idx, removed;
+			if (this._getEventStyle(type) == 'element') {
+				$(this.event_selector).unbind(Eventable.toJqueryType(type), func_ref);
 				return this;
 			}
 			
-			if (!this._listeners[type] instanceof Array) {
-				return this;
+			parsed = Eventable.parseType(type);
+			types  = [parsed.type];
+			
+			if (!parsed.type) {
+				// Namespaces alone apply to jQuery events as well.
+				$(this.event_selector).unbind(Eventable.toJqueryType(type), func_ref);
+				
+				types = [];
+				for (key in this._listeners) {
+					if (this._listeners.hasOwnProperty(key)) {
+						types.push(key);
+					}
+				}
 			}
 			
-			var listeners, idx;
-			listeners = this._listeners[type];
-			for (idx = 0; idx < listeners.length; idx++) {
-				if (listeners[idx] !== func_ref) {
+			removed = false;
+			for (key = 0; key < types.length; key++) {
+				listeners = this._listeners[types[key]];
+				if (!(listeners instanceof Array)) {
 					continue;
 				}
 				
-				listeners.splice(idx, 1);
-				return this;
+				for (idx = listeners.length - 1; idx >= 0; idx--) {
+					if (func_ref && listeners[idx].func_ref !== func_ref) {
+						continue;
+					}
+					
+					if (!Eventable.hasNamespaces(listeners[idx], parsed.namespaces)) {
+						continue;
+					}
+					
+					listeners.splice(idx, 1);
+					removed = true;
+				}
 			}
 			
-			return false;
+			return removed ? this : false;
 		},
 		
 		/**
@@ -150,7 +240,7 @@
 		{
 			if (this.event_style == 'element') {
 				if (typeof event_type == 'string') {
-					$(this.event_selector).unbind(event_type);
+					$(this.event_selector).unbind(Eventable.toJqueryType(event_type));
 				} else {
 					$(this.event_selector).unbind();
 				}
@@ -204,15 +294,15 @@
 				$(this.event_selector).trigger(event.type);
 			}
 			
-			if (!this.hasListeners(event.type)) {
-				return this;
-			}
-			
-			var listeners, idx, func;
-			listeners = this._listeners[event.type];
+			var listeners, idx, listener;
+			listeners = this.getListeners(event.type);
 			for (idx = 0; idx < listeners.length; idx++) {
-				func = listeners[idx].func_ref;
-				if (func.call(this, event) === false) {
+				listener = listeners[idx];
+				if (listener.run_once) {
+					this._dropListener(listener);
+				}
+				
+				if (listener.func_ref.call(this, event) === false) {
 					// Mimics the jQuery .each()'s stopPropagation() feature.
 					return this;
 				}
@@ -221,6 +311,72 @@
 			return this;
 		},
 		
+		/**
+		 * Get the listeners that should run for an event, including the
+		 * wildcards matching it, ordered by priority.
+		 * 
+		 * @param string type
+		 * 
+		 * @returns array
+		 */
+		getListeners : function (type)
+		{
+			var listeners, key;
+			listeners = (this._listeners[type] || []).slice(0);
+			
+			for (key in this._listeners) {
+				if (!this._listeners.hasOwnProperty(key) || key === type) {
+					continue;
+				}
+				
+				if (-1 === key.indexOf('*') || !Eventable.matchesType(key, type)) {
+					continue;
+				}
+				
+				listeners = listeners.concat(this._listeners[key]);
+			}
+			
+			return listeners.sort(function (a, b) {
+				return (b.priority - a.priority) || (a.sequence - b.sequence);
+			});
+		},
+		
+		/**
+		 * Remove one specific listener wrapper from the stack.
+		 * 
+		 * @param Eventable listener
+		 * 
+		 * @returns {Eventable}
+		 */
+		_dropListener : function (listener)
+		{
+			var listeners, idx;
+			listeners = this._listeners[listener.event_type] || [];
+			idx       = $.inArray(listener, listeners);
+			
+			if (idx > -1) {
+				listeners.splice(idx, 1);
+			}
+			
+			return this;
+		},
+		
+		/**
+		 * Determine whether an event should be handled by jQuery.
+		 * 
+		 * @param string type
+		 * 
+		 * @returns string
+		 */
+		_getEventStyle : function (type)
+		{
+			if ($.inArray(type.split(/[.:]/)[0], Eventable._jqEvents) > -1) {
+				return 'element';
+			}
+			
+			return this.event_style;
+		},
+		
 		/**
 		 * Determine if the object has listeners for a particular event.
 		 * 
@@ -230,10 +386,7 @@
 		 */
 		hasListeners : function (event)
 		{
-			var listeners = this._listeners[event];
-			
-			return typeof listeners !== 'undefined'
-			   && listeners.length > 0;
+			return this.getListeners(event).length > 0;
 		}
 	};
 	
@@ -247,6 +400,100 @@
 		return Math.random().toString(36).substring(7);
 	};
 	
+	/**
+	 * Counter that keeps listeners sharing a priority in the order they
+	 * were added.
+	 * 
+	 * @var int
+	 */
+	Eventable.sequence = 0;
+	
+	/**
+	 * Split an event name into its type and namespaces.
+	 * 
+	 * Everything before the first colon is the type, however many dots
+	 * it has, and every colon separated segment after it a namespace:
+	 * "modal.close:a:b". A name starting with a colon only holds
+	 * namespaces.
+	 * 
+	 * @param string name
+	 * 
+	 * @returns object {type : string, namespaces : array}
+	 */
+	Eventable.parseType = function (name)
+	{
+		var segments, namespaces, idx;
+		segments   = name.split(':');
+		namespaces = [];
+		
+		for (idx = 1; idx < segments.length; idx++) {
+			if (segments[idx]) {
+				namespaces.push(segments[idx]);
+			}
+		}
+		
+		return {
+			'type'       : segments[0],
+			'namespaces' : namespaces
+		};
+	};
+	
+	/**
+	 * Convert an event name to jQuery's notation, "click:a:b" becomes
+	 * "click.a.b".
+	 * 
+	 * @param string name
+	 * 
+	 * @returns string
+	 */
+	Eventable.toJqueryType = function (name)
+	{
+		var parsed = Eventable.parseType(name);
+		if (!parsed.namespaces.length) {
+			return parsed.type;
+		}
+		
+		return parsed.type + '.' + parsed.namespaces.join('.');
+	};
+	
+	/**
+	 * Determine whether a wildcard type, such as 'modal.*', matches an
+	 * event type.
+	 * 
+	 * @param string pattern
+	 * @param string type
+	 * 
+	 * @returns boolean
+	 */
+	Eventable.matchesType = function (pattern, type)
+	{
+		var expr;
+		expr = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+		expr = expr.replace(/\*/g, '.*');
+		
+		return new RegExp('^' + expr + '$').test(type);
+	};
+	
+	/**
+	 * Determine whether a listener was added under all of the namespaces.
+	 * 
+	 * @param Eventable listener
+	 * @param array     namespaces
+	 * 
+	 * @returns boolean
+	 */
+	Eventable.hasNamespaces = function (listener, namespaces)
+	{
+		var idx;
+		for (idx = 0; idx < namespaces.length; idx++) {
+			if (-1 === $.inArray(namespaces[idx], listener.namespaces)) {
+				return false;
+			}
+		}
+		
+		return true;
+	};
+	
 	/**
 	 * The events that JQuery uses.
 	 * 
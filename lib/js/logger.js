@@ -17,6 +17,15 @@
  * 
  * Logger: The most basic debugging utility in existence.
  * 
+ * Entries have a level (debug, info, warn or error), a timestamp and the
+ * source that wrote them. They are handed to every transport, and the
+ * last Logger.buffer_size of them are kept in memory whether debugging
+ * is on or not, so they can be exported with Logger.dump().
+ * 
+ * log() writes debug entries, which only reach the transports while
+ * debugging is enabled. Otherwise entries below Logger.level are only
+ * buffered.
+ * 
  * @author Austin Shinpaugh
  */
 
@@ -75,7 +84,7 @@
 		},
 		
 		/**
-		 * The primary logging method.
+		 * The primary logging method. Writes a debug entry.
 		 * 
 		 * @param mixed out
 		 * 
@@ -83,29 +92,264 @@
 		 */
 		log : function (out)
 		{
-			if (!this.debug) {
-				return this;
+			return this.write('debug', out);
+		},
+		
+		/**
+		 * Write an info entry.
+		 * 
+		 * @param mixed out
+		 * @param mixed data
+		 * 
+		 * @returns {Logger}
+		 */
+		info : function (out, data)
+		{
+			return this.write('info', out, data);
+		},
+		
+		/**
+		 * Write a warning entry.
+		 * 
+		 * @param mixed out
+		 * @param mixed data
+		 * 
+		 * @returns {Logger}
+		 */
+		warn : function (out, data)
+		{
+			return this.write('warn', out, data);
+		},
+		
+		/**
+		 * Write an error entry.
+		 * 
+		 * @param mixed out
+		 * @param mixed data
+		 * 
+		 * @returns {Logger}
+		 */
+		error : function (out, data)
+		{
+			return this.write('error', out, data);
+		},
+		
+		/**
+		 * Build an entry, buffer it and hand it to the transports.
+		 * 
+		 * @param string level One of the Logger.levels keys.
+		 * @param mixed  out   A message, or anything worth logging.
+		 * @param mixed  data  Extra context for the entry.
+		 * 
+		 * @returns {Logger}
+		 */
+		write : function (level, out, data)
+		{
+			var entry, threshold, idx, transport;
+			if (!Logger.levels.hasOwnProperty(level)) {
+				level = 'debug';
+			}
+			
+			if (typeof out != 'string' && typeof data == 'undefined') {
+				data = out;
+				out  = '';
 			}
 			
-			if (typeof console == 'undefined') {
-				alert("This browser doesn't support the console.log functionality, disabling debugging.");
-				this.debug = false;
+			entry = {
+				'timestamp' : new Date().getTime(),
+				'level'     : level,
+				'source'    : this._log_prefix,
+				'message'   : out,
+				'data'      : data
+			};
+			
+			Logger.buffer.push(entry);
+			if (Logger.buffer.length > Logger.buffer_size) {
+				Logger.buffer.splice(0, Logger.buffer.length - Logger.buffer_size);
+			}
+			
+			threshold = this.debug ? 'debug' : Logger.level;
+			if (Logger.levels[level] < Logger.levels[threshold]) {
 				return this;
 			}
 			
-			if (this._log_prefix.length) {
-				if (typeof out == 'string') {
-					console.log(this._log_prefix + ': ' + out);
-					
-					return this;
+			for (idx = 0; idx < Logger.transports.length; idx++) {
+				transport = Logger.transports[idx];
+				if (Logger.levels[level] < Logger.levels[transport.level]) {
+					continue;
 				}
 				
-				console.log(this._log_prefix + ':');
+				transport.write(entry);
 			}
 			
-			console.log(out);
-			
 			return this;
 		}
 	};
+	
+	/**
+	 * The log levels, by severity.
+	 * 
+	 * @var object
+	 */
+	Logger.levels = {
+		'debug' : 10,
+		'info'  : 20,
+		'warn'  : 30,
+		'error' : 40
+	};
+	
+	/**
+	 * The lowest level sent to the transports while debugging is off.
+	 * 
+	 * @var string
+	 */
+	Logger.level = 'warn';
+	
+	/**
+	 * How many entries the in-memory buffer keeps.
+	 * 
+	 * @var int
+	 */
+	Logger.buffer_size = 200;
+	
+	/**
+	 * The most recent entries, oldest first.
+	 * 
+	 * @var array
+	 */
+	Logger.buffer = [];
+	
+	/**
+	 * Writes entries to the browser's console, when there is one.
+	 * 
+	 * @param object entry
+	 */
+	Logger.consoleTransport = function (entry)
+	{
+		var method, args, source, message;
+		if (typeof console == 'undefined') {
+			return;
+		}
+		
+		method  = typeof console[entry.level] == 'function' ? entry.level : 'log';
+		args    = [];
+		source  = null == entry.source  ? '' : String(entry.source);
+		message = null == entry.message ? '' : String(entry.message);
+		
+		if (source.length || message.length) {
+			args.push((source.length ? source + ': ' : '') + message);
+		}
+		
+		if (typeof entry.data != 'undefined') {
+			args.push(entry.data);
+		}
+		
+		console[method].apply(console, args);
+	};
+	
+	/**
+	 * The registered transports.
+	 * 
+	 * @var array
+	 */
+	Logger.transports = [
+		{'write' : Logger.consoleTransport, 'level' : 'debug'}
+	];
+	
+	/**
+	 * Register a transport, a function receiving every entry at or above
+	 * the level.
+	 * 
+	 *    Logger.addTransport(function (entry) {
+	 *        tracker.send(entry.source + ': ' + entry.message);
+	 *    }, 'error');
+	 * 
+	 * @param function write
+	 * @param string   level Defaults to 'debug'.
+	 * 
+	 * @returns {Logger}
+	 */
+	Logger.addTransport = function (write, level)
+	{
+		Logger.transports.push({'write' : write, 'level' : level || 'debug'});
+		
+		return Logger;
+	};
+	
+	/**
+	 * Unregister a transport.
+	 * 
+	 * @param function write
+	 * 
+	 * @returns {Logger}
+	 */
+	Logger.removeTransport = function (write)
+	{
+		var idx;
+		for (idx = Logger.transports.length - 1; idx >= 0; idx--) {
+			if (Logger.transports[idx].write === write) {
+				Logger.transports.splice(idx, 1);
+			}
+		}
+		
+		return Logger;
+	};
+	
+	/**
+	 * Export the buffered entries as JSON, for bug reports.
+	 * 
+	 * Circular references and DOM nodes in the entries' data are replaced
+	 * by a short description. Objects referenced more than once without
+	 * a cycle are written out each time.
+	 * 
+	 * @returns string
+	 */
+	Logger.dump = function ()
+	{
+		var entries, ancestors;
+		ancestors = [];
+		
+		// Only the entries' own timestamps, any in their data are left alone.
+		entries = $.map(Logger.buffer, function (entry) {
+			return $.extend({}, entry, {
+				'timestamp' : new Date(entry.timestamp).toISOString()
+			});
+		});
+		
+		return JSON.stringify(entries, function (key, value) {
+			if (!value || typeof value != 'object') {
+				return value;
+			}
+			
+			if (value.nodeType || value.jquery) {
+				return '[' + (value.jquery ? 'jQuery' : value.nodeName) + ']';
+			}
+			
+			// Only the objects above this one make a cycle, "this" being
+			// the object that holds it.
+			while (ancestors.length && ancestors[ancestors.length - 1] !== this) {
+				ancestors.pop();
+			}
+			
+			if ($.inArray(value, ancestors) > -1) {
+				return '[Circular]';
+			}
+			
+			ancestors.push(value);
+			
+			return value;
+		}, 2);
+	};
+	
+	/**
+	 * Empty the buffer.
+	 * 
+	 * @returns {Logger}
+	 */
+	Logger.clear = function ()
+	{
+		Logger.buffer = [];
+		
+		return Logger;
+	};
 }) (jQuery || $one);
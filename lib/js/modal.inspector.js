@@ -0,0 +1,442 @@
+/**
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @preserve
+ * 
+ * ModalJS Inspector: a floating debug panel for QA.
+ * 
+ * Lists every live modal with its settings, state and listeners, keeps a
+ * timeline of the events fired on modal.bus, and can kill, dock or
+ * center a chosen modal.
+ * 
+ * The panel opens by itself once a modal renders with debugging enabled,
+ * for instance by adding ?ModalJS=1 to the URL. It can also be opened
+ * with modal.inspector.open().
+ * 
+ * @requires {modal}
+ * @requires {jQuery}
+ * 
+ * @author Austin Shinpaugh
+ */
+
+(function ($) {
+    modal.inspector = {
+        /**
+         * The panel's DOM.
+         * 
+         * @var {jQuery}
+         */
+        element : null,
+        
+        /**
+         * The modal_id of the modal shown in the details pane.
+         * 
+         * @var string
+         */
+        selected : null,
+        
+        /**
+         * How many events the timeline keeps.
+         * 
+         * @var integer
+         */
+        timeline_size : 100,
+        
+        /**
+         * The most recent events, oldest first.
+         * 
+         * @var array
+         */
+        _timeline : [],
+        
+        /**
+         * Pending refresh timer, so bursts of events redraw only once.
+         * 
+         * @var integer
+         */
+        _refresh_timer : null,
+        
+        /**
+         * Show the panel.
+         * 
+         * @returns {Object}
+         */
+        open : function ()
+        {
+            if (this.element && $.contains(document.documentElement, this.element[0])) {
+                return this.refresh();
+            }
+            
+            var context = this;
+            this.element = $('<div>').attr({
+                'id'         : 'oneModalInspector',
+                'class'      : 'modalInspector',
+                'role'       : 'complementary',
+                'aria-label' : 'ModalJS Inspector'
+            });
+            
+            $('<div>').addClass('modalInspectorHeader')
+                      .text('ModalJS Inspector')
+                      .append(
+                          $('<button type="button">').addClass('modalInspectorClose')
+                                                     .attr('aria-label', 'Close the inspector')
+                                                     .text('x')
+                      )
+                      .appendTo(this.element);
+            
+            $('<ul>').addClass('modalInspectorList').appendTo(this.element);
+            $('<div>').addClass('modalInspectorDetails').appendTo(this.element);
+            $('<ol>').addClass('modalInspectorTimeline').appendTo(this.element);
+            
+            this.element.on('click', '.modalInspectorClose', function () {
+                context.close();
+            }).on('click', '.modalInspectorList li', function () {
+                context.select($(this).attr('data-modal-id'));
+            }).on('click', '.modalInspectorActions button', function () {
+                context.run($(this).attr('data-action'));
+            });
+            
+            this.element.appendTo('body');
+            
+            return this.refresh();
+        },
+        
+        /**
+         * Remove the panel. The timeline keeps recording.
+         * 
+         * @returns {Object}
+         */
+        close : function ()
+        {
+            if (this.element) {
+                this.element.remove();
+                this.element = null;
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Show a modal in the details pane.
+         * 
+         * @param string modal_id
+         * 
+         * @returns {Object}
+         */
+        select : function (modal_id)
+        {
+            this.selected = modal_id;
+            
+            return this.refresh();
+        },
+        
+        /**
+         * Call an action on the selected modal.
+         * 
+         * @param string action kill, dock or alignCenter.
+         * 
+         * @returns {Object}
+         */
+        run : function (action)
+        {
+            var hwnd = modal.manager.getById(this.selected);
+            if (!hwnd) {
+                return this;
+            }
+            
+            switch (action) {
+                case 'kill':
+                    hwnd.kill();
+                    break;
+                
+                case 'dock':
+                    hwnd.dock(this.element.find('.modalInspectorDockSide').val());
+                    break;
+                
+                case 'alignCenter':
+                    hwnd.dock(null).alignCenter();
+                    break;
+            }
+            
+            return this.refresh();
+        },
+        
+        /**
+         * Add an event to the timeline.
+         * 
+         * @param object event
+         * 
+         * @returns {Object}
+         */
+        record : function (event)
+        {
+            this._timeline.push({
+                'time'     : new Date(),
+                'type'     : event.type,
+                'modal_id' : event.target && event.target.modal_id,
+                'params'   : event.params
+            });
+            
+            if (this._timeline.length > this.timeline_size) {
+                this._timeline.splice(0, this._timeline.length - this.timeline_size);
+            }
+            
+            return this._scheduleRefresh();
+        },
+        
+        /**
+         * Redraw the panel on the next tick.
+         * 
+         * @returns {Object}
+         */
+        _scheduleRefresh : function ()
+        {
+            if (!this.element || this._refresh_timer) {
+                return this;
+            }
+            
+            var context = this;
+            this._refresh_timer = setTimeout(function () {
+                context._refresh_timer = null;
+                context.refresh();
+            }, 0);
+            
+            return this;
+        },
+        
+        /**
+         * Redraw the modal list, the details pane and the timeline.
+         * 
+         * @returns {Object}
+         */
+        refresh : function ()
+        {
+            if (!this.element) {
+                return this;
+            }
+            
+            var list, modals, idx, hwnd;
+            list   = this.element.find('.modalInspectorList').empty();
+            modals = modal.manager.getAll();
+            
+            if (this.selected && !modal.manager.getById(this.selected)) {
+                this.selected = null;
+            }
+            
+            if (!this.selected && modals.length) {
+                this.selected = modals[modals.length - 1].modal_id;
+            }
+            
+            for (idx = 0; idx < modals.length; idx++) {
+                hwnd = modals[idx];
+                $('<li>').attr('data-modal-id', hwnd.modal_id)
+                         .toggleClass('modalInspectorSelected', hwnd.modal_id === this.selected)
+                         .text(hwnd.modal_id + (hwnd.title ? ' - ' + hwnd.title : ''))
+                         .appendTo(list);
+            }
+            
+            if (!modals.length) {
+                $('<li>').addClass('modalInspectorEmpty')
+                         .text('No live modals.')
+                         .appendTo(list);
+            }
+            
+            this._renderDetails(modal.manager.getById(this.selected));
+            this._renderTimeline();
+            
+            return this;
+        },
+        
+        /**
+         * Draw the selected modal's state, listeners, settings and actions.
+         * 
+         * @param {modal} hwnd
+         * 
+         * @returns {Object}
+         */
+        _renderDetails : function (hwnd)
+        {
+            var details, state, listeners, settings, dock, type, idx;
+            details = this.element.find('.modalInspectorDetails').empty();
+            if (!hwnd) {
+                return this;
+            }
+            
+            state = {
+                'shown'       : !!hwnd.window && hwnd.window.is(':visible'),
+                'minimized'   : hwnd.is_minimized,
+                'docked_side' : hwnd.getDockSide(),
+                'sheet'       : hwnd.isSheet(),
+                'z-index'     : modal.manager.getZIndex(hwnd),
+                'closing'     : hwnd.closing
+            };
+            
+            listeners = {};
+            for (type in hwnd._listeners) {
+                if (hwnd._listeners.hasOwnProperty(type) && hwnd._listeners[type].length) {
+                    listeners[type] = this._describeListeners(hwnd._listeners[type]);
+                }
+            }
+            
+            settings = {};
+            for (idx in hwnd) {
+                if (!hwnd.hasOwnProperty(idx) || idx.charAt(0) === '_'
+                    || typeof hwnd[idx] == 'function'
+                ) {
+                    continue;
+                }
+                
+                settings[idx] = hwnd[idx];
+            }
+            
+            dock = $('<select>').addClass('modalInspectorDockSide')
+                                .attr('aria-label', 'Dock position');
+            for (idx = 0; idx < modal.dock_positions.length; idx++) {
+                $('<option>').val(modal.dock_positions[idx])
+                             .text(modal.dock_positions[idx])
+                             .appendTo(dock);
+            }
+            
+            $('<div>').addClass('modalInspectorActions')
+                      .append($('<button type="button" data-action="kill">').text('kill()'))
+                      .append(dock)
+                      .append($('<button type="button" data-action="dock">').text('dock()'))
+                      .append($('<button type="button" data-action="alignCenter">').text('alignCenter()'))
+                      .appendTo(details);
+            
+            this._renderSection(details, 'State', state);
+            this._renderSection(details, 'Listeners', listeners);
+            this._renderSection(details, 'Settings', settings);
+            
+            return this;
+        },
+        
+        /**
+         * Summarize a stack of listener wrappers.
+         * 
+         * @param array listeners
+         * 
+         * @returns string
+         */
+        _describeListeners : function (listeners)
+        {
+            var out, idx, listener;
+            out = [];
+            for (idx = 0; idx < listeners.length; idx++) {
+                listener = listeners[idx];
+                out.push(
+                    (listener.func_ref.name || 'anonymous')
+                    + (listener.namespaces.length ? ' :' + listener.namespaces.join(':') : '')
+                    + (listener.priority ? ' (priority ' + listener.priority + ')' : '')
+                    + (listener.run_once ? ' (once)' : '')
+                );
+            }
+            
+            return out.join(', ');
+        },
+        
+        /**
+         * Draw a titled key/value table.
+         * 
+         * @param {jQuery} container
+         * @param string   title
+         * @param object   values
+         * 
+         * @returns {Object}
+         */
+        _renderSection : function (container, title, values)
+        {
+            var table, key;
+            table = $('<table>');
+            for (key in values) {
+                if (!values.hasOwnProperty(key)) {
+                    continue;
+                }
+                
+                $('<tr>').append($('<th>').text(key))
+                         .append($('<td>').text(this._describe(values[key])))
+                         .appendTo(table);
+            }
+            
+            $('<details>').append($('<summary>').text(title))
+                          .append(table)
+                          .attr('open', title !== 'Settings' ? 'open' : null)
+                          .appendTo(container);
+            
+            return this;
+        },
+        
+        /**
+         * Draw the event timeline, newest first.
+         * 
+         * @returns {Object}
+         */
+        _renderTimeline : function ()
+        {
+            var timeline, idx, entry, time;
+            timeline = this.element.find('.modalInspectorTimeline').empty();
+            for (idx = this._timeline.length - 1; idx >= 0; idx--) {
+                entry = this._timeline[idx];
+                time  = entry.time.toTimeString().substr(0, 8);
+                
+                $('<li>').text(
+                    time + ' ' + entry.modal_id + ' ' + entry.type
+                    + (typeof entry.params != 'undefined' ? ' ' + this._describe(entry.params) : '')
+                ).appendTo(timeline);
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Turn a value into a short, readable string.
+         * 
+         * @param mixed value
+         * 
+         * @returns string
+         */
+        _describe : function (value)
+        {
+            if (value && (value.jquery || value.nodeType)) {
+                return value.jquery ? '[jQuery ' + value.length + ']' : '[' + value.nodeName + ']';
+            }
+            
+            if (value instanceof modal) {
+                return '[modal ' + value.modal_id + ']';
+            }
+            
+            if (typeof value == 'function') {
+                return '[function]';
+            }
+            
+            try {
+                return typeof value == 'undefined' ? 'undefined' : JSON.stringify(value);
+            } catch (ex) {
+                return String(value);
+            }
+        }
+    };
+    
+    // Record every modal's events, and open up once a debug modal renders.
+    modal.bus.addListener('*:modalInspector', function (event) {
+        if ('modal.render' === event.type && event.target.debug) {
+            modal.inspector.open();
+        }
+        
+        // Also redraws the panel once the modal finished rendering.
+        modal.inspector.record(event);
+    });
+    
+}) (jQuery || $one);
@@ -17,29 +17,66 @@
  * 
  * ModalJS.
  * 
+ * Events are fired on the modal and then on the global bus, so
+ * modal.on('modal.close', fn) hears every modal closing.
+ * 
  * Events:
  *   - modal.render
  *       Fired when the modal was rendered.
  *   - modal.minimize
  *       Fired when the modal is minimized.
+ *   - modal.restore
+ *       Fired when a minimized modal is restored from the tray.
  *   - modal.close
  *       Fired when the modal closes.
  *   - modal.fetch_content
  *       Fired when using the fetchContent method after the AJAX
  *       request completes.
+ *   - modal.fetch_error
+ *       Fired when the fetchContent request fails. Receives the URL,
+ *       HTTP status, status text and error.
  *   - modal.confirm_selected
  *       Fired when a user selects a choice from the confirmation box.
+ *   - modal.destroy
+ *       Fired right before the modal releases its DOM, bindings and
+ *       listeners.
  *   - modal.cancel_close
  *       Fired when closing a modal should be canceled prematurely.
+ *   - modal.before_close, modal.before_show, modal.before_hide,
+ *     modal.before_minimize
+ *       Fired before the action happens. Listeners can cancel it with
+ *       event.preventDefault() or delay it with event.waitUntil(promise).
+ *       The action is cancelled if that promise is rejected or resolves
+ *       to false.
  *   - load
  *       Fired when the modal is insert into the document's HTML.
  *   - modal.show
- *       Fired after the modal is shown.
+ *       Fired after the modal is shown and its animation finished.
  *   - modal.hide
- *       Fired after the modal is hidden.
+ *       Fired after the modal is hidden and its animation finished.
  *   - modal.user_action
  *       Fired after the user clicks the submit button if submit_button
  *       is enabled.
+ *   - modal.drag_start
+ *       Fired when the user starts dragging the modal by its header.
+ *   - modal.drag_end
+ *       Fired when the user drops the modal. Receives its position and
+ *       the side it was docked to, if any.
+ *   - modal.resize
+ *       Fired while the user resizes the modal. Receives its new width
+ *       and height.
+ *   - modal.gallery_change
+ *       Fired when a gallery modal moves to another item. Receives the
+ *       item, its index and the gallery's length.
+ *   - modal.theme_change
+ *       Fired when setTheme() or the OS colour scheme changed the
+ *       theme. Receives the new and previous theme names.
+ *   - modal.form_success
+ *       Fired when the modal's form was submitted and the server
+ *       accepted it.
+ *   - modal.form_error
+ *       Fired when the modal's form submission failed or the server
+ *       returned validation errors.
  * 
  * @requires {Logger}
  * @requires {Eventable}
@@ -52,10 +89,6 @@
  */
 
 (function ($) {
-    if (typeof ONESITE == 'undefined') {
-        ONESITE = {tt : function (text){return text;}};
-    }
-    
     /**
      * Creates a new modal instance.
      * 
@@ -65,15 +98,16 @@
      */
     modal = function (args)
     {
-        modal.count++;
+        modal.uid++;
         
         $.extend(this, new Eventable());
         
+        // Re-emit every event on the global bus.
+        this.trigger = modal.prototype.trigger;
+        
         this.window          = null;
-        this.input_has_focus = false;
         
-        this.modal_id              = 'oneModal'   + modal.count;
-        this.overlay_id            = 'oneOverlay' + modal.count;
+        this.modal_id              = 'oneModal'   + modal.uid;
         this.content               = '';
         this.container             = $('body');
         this.footer                = '';
@@ -82,25 +116,71 @@
         this.sub_title             = '';
         this.theme                 = 'dark';
         this.speed                 = 'fast';
+        this.animation             = 'fade';
+        this.show_duration         = null;
+        this.show_easing           = 'ease-out';
+        this.hide_duration         = null;
+        this.hide_easing           = 'ease-in';
         this.overlay               = 0.75;
+        this.overlay_color         = null;
+        this.overlay_blur          = false;
+        this.overlay_hidden        = false;
         this.user_actions          = false;
         this.draggable             = false;
         this.overlay_exit          = true;
         this.snap_overlay          = false;
         this.snap                  = true;
+        this.shortcuts             = {};
+        this.snap_zones            = modal.dock_positions.slice(0);
+        this.dock_size             = '30%';
+        this.docked_side           = null;
         this.center                = true;
         this.center_resize         = true;
         this.minimizable           = false;
         this.is_minimized          = false;
+        this.attention             = false;
         this.hug_content           = false;
+        this.resizable             = false;
+        this.min_width             = 200;
+        this.max_width             = null;
+        this.min_height            = 120;
+        this.max_height            = null;
+        this.sheet_breakpoint      = 600;
+        this.sheet_style           = 'full';
+        this.gallery               = null;
+        this.gallery_index         = 0;
+        this.gallery_loop          = true;
+        this.gallery_preload       = 1;
         this.no_close_button       = false;
+        this.role                  = 'dialog';
+        this.initial_focus         = null;
         this.display_on_load       = true;
         this.content_selector      = null;
+        this.form                  = null;
+        this.form_url              = null;
+        this.form_method           = null;
+        this.form_data_type        = 'json';
         this.minimize_callback     = null;
         this.render_modal_callback = null;
         this.close_func            = null;
+        this.persist_key           = null;
+        this.locale                = null;
+        this.template              = null;
+        this._applied_theme        = null;
+        this._gallery_titles       = null;
+        this._animation            = null;
+        this._deferred             = null;
         
         this.cancel_close          = false;
+        this.closing               = false;
+        this._windowed_width       = '';
+        this.restored_state        = false;
+        this.user_positioned       = false;
+        this.return_focus          = null;
+        this.request               = null;
+        
+        // Deprecated: every modal shares modal.overlay_layer now.
+        this.overlay_id            = modal.overlay_layer.overlay_id;
         
         // Load the passed in parameters.
         this.settings(args);
@@ -118,6 +198,9 @@
         /**
          * Set the settings for the modal.
          * 
+         * Only the modal's own properties are accepted, its methods (the
+         * mixed in Eventable ones included) can't be replaced.
+         * 
          * @param {Object} args
          * 
          * @returns {modal}
@@ -126,10 +209,10 @@
         {
             var idx = null;
             for (idx in args) {
-                if (this.hasOwnProperty(idx)) {
+                if (this.hasOwnProperty(idx) && typeof this[idx] != 'function') {
                     this[idx] = args[idx];
                 } else {
-                    this.log('Invalid property set: ' + idx);
+                    this.warn('Invalid property set: ' + idx);
                 }
             }
             
@@ -148,7 +231,7 @@
         {
             var container = $(selector);
             if (!container[0]) {
-                this.content = ONESITE.tt('An error occurred!');
+                this.content = this.translate('error');
                 this.renderModal();
                 return this;
             }
@@ -166,26 +249,28 @@
          */
         renderModal : function ()
         {
+            if (this.gallery) {
+                this._prepareGalleryItem();
+            }
+            
             var modal_dom, custom_class;
             modal_dom = this._renderModalMain();
             modal_dom = this._renderModalTitles(modal_dom);
             modal_dom = this._renderModalContentWrapper(modal_dom);
             modal_dom = this._renderModalFooter(modal_dom);
             
-            custom_class = this.theme + ' ' + this.modal_class;
+            custom_class = this.getThemeName() + ' ' + this.modal_class;
             if (this.debug) {
                 custom_class += ' debug';
             }
             modal_dom.addClass(custom_class);
             
             if (this.draggable) {
-                if (typeof modal_dom.draggable != 'undefined') {
-                    modal_dom.draggable({
-                        'cancel' : '.modalBodyContainer'
-                    });
-                } else {
-                    this.log('Missing jQuery draggable UI script.');
-                }
+                modal_dom.addClass('modalDraggable');
+            }
+            
+            if (this.resizable) {
+                this._renderResizeHandles(modal_dom);
             }
             
             if (this.modal_id.length) {
@@ -193,19 +278,34 @@
             }
             
             // At this point, we should have all the DOM we need.
-            this.window = modal_dom;
+            this.window         = modal_dom;
+            this._applied_theme = null;
+            this._applyTheme()
+                ._applyLocale()
+                ._applyAria();
+            
+            // Remember what had focus so it can be restored on close.
+            if (!this.return_focus) {
+                this.return_focus = document.activeElement;
+            }
             
             // Append the modal to the document body.
             this.window.hide()
                        .appendTo($(this.container));
             
+            // Small viewports get the full-screen sheet instead.
+            this._updatePresentation();
+            
             // Align the modal vertically and horizontally.
-            var media, loaded;
-            media  = $('iframe, img, video, script, link, audio', this.window);
-            loaded = media;
+            var media, loaded, rendered;
+            media    = $('iframe, img, video, script, link, audio', this.window);
+            loaded   = media;
+            rendered = this._track();
             if (media[0]) {
                 if (!this.display_on_load) {
-                    this.show();
+                    this.show()
+                        .promise()
+                        .then(rendered.resolve, rendered.reject);
                 }
                 
                 /* Some form of media needs to be loaded.
@@ -221,18 +321,16 @@
                     if (!loaded[0]) {
                         // All the content has loaded.
                         if (context.display_on_load) {
-                            context.show();
+                            context.show()
+                                   .promise()
+                                   .then(rendered.resolve, rendered.reject);
                         }
                         
                         context.trigger('load');
-                         
-                        if (context.hug_content) {
-                            // Measure the modal's content width and resize.
-                            context.window.css('width', item.outerWidth());
-                            context.window.addClass('hugContent');
-                        }
                         
-                        if (context.center) {
+                        context._hugContent(item);
+                        
+                        if (context.center && !context.restored_state) {
                             context.alignCenter();
                         }
                         
@@ -240,7 +338,7 @@
                     }
                 });
             } else {
-                this.window.show();
+                this._animate('show').then(rendered.resolve);
                 this.trigger('load');
                 
                 if (this.center) {
@@ -250,40 +348,78 @@
                 this._renderModalCallback();
             }
             
-            return this._applyContentSpecificClasses()
-                       ._renderOverlay()
-                       ._bindKeys()
-                       .alignCenter();
+            this._applyContentSpecificClasses()
+                ._renderOverlay()
+                ._bindKeys()
+                .alignCenter();
+            
+            // Track the instance and stack it above any open modals.
+            modal.manager.register(this);
+            
+            return this._restoreState();
         },
         
         /**
-         * Build the main modal container and body.
+         * Build the main modal container from the template.
          * 
          * @returns {jQuery}
          */
         _renderModalMain : function ()
         {
-            var modal_base, modal_inner, modal_header,
-                modal_body, modal_footer;
+            var modal_base = $('<div>').addClass('modalJS').css('display','none');
             
-            modal_base   = $('<div>').addClass('modalJS').css('display','none');
-            modal_inner  = $('<div>').addClass('modalInner');
-            modal_header = $('<div>').addClass('modalHeaderContainer');
-            modal_body   = $('<div>').addClass('modalBodyContainer');
+            return modal_base.append(this._renderTemplate());
+        },
+        
+        /**
+         * Resolve the template setting, falling back on modal.template, and
+         * build its markup.
+         * 
+         * @returns {mixed} Anything jQuery's append() accepts.
+         */
+        _renderTemplate : function ()
+        {
+            var template, element;
+            template = this.template || modal.template;
+            
+            if (typeof template == 'string' && modal.templates.hasOwnProperty(template)) {
+                template = modal.templates[template];
+            }
+            
+            if (typeof template == 'function') {
+                return template.call(this, this);
+            }
             
-            modal_inner.append(modal_header)
-                       .append(modal_body);
+            element = $(template).first()[0];
+            if (!element) {
+                this.warn('Unknown template, using the default one.', template);
+                return modal.templates['default'].call(this, this);
+            }
             
-            if (this.footer || this.user_actions) {
-                modal_footer = $('<div>').addClass('modalFooterContainer');
-                modal_inner.append(modal_footer);
+            if (element.content) {
+                // A <template> element.
+                return document.importNode(element.content, true);
             }
             
-            return modal_base.append(modal_inner);
+            return $(element).html();
         },
         
         /**
-         * Build the title and sub titles.
+         * Find one of the template's slots.
+         * 
+         * @param {jQuery} modal_dom
+         * @param string   name      header, title, subtitle, actions, notify,
+         *                           body or footer.
+         * 
+         * @returns {jQuery}
+         */
+        _getSlot : function (modal_dom, name)
+        {
+            return modal_dom.find('[data-modal-slot="' + name + '"]').first();
+        },
+        
+        /**
+         * Fill the header, title, subtitle and actions slots.
          * 
          * @param {jQuery} modal_dom
          * 
@@ -291,74 +427,73 @@
          */
         _renderModalTitles : function (modal_dom)
         {
-            var modal_inner, modal_header, title, title_text, sub_title_text;
-            modal_inner  = modal_dom.find('.modalInner');
-            modal_header = modal_inner.find('.modalHeaderContainer');
+            var modal_header, title, sub_title;
+            modal_header = this._getSlot(modal_dom, 'header').addClass('modalHeaderContainer');
+            title        = this._getSlot(modal_dom, 'title');
+            sub_title    = this._getSlot(modal_dom, 'subtitle');
             
-            if (this.title || this.sub_title) {
-                title_text     = null;
-                sub_title_text = null;
-                if (this.title != '') {
-                    title_text = $('<h3>').addClass('title')
-                                          .append($('<span>')
-                                          .text(this.title));
-                }
-                
-                if (this.sub_title != '') {
-                    sub_title_text = $('<h5>').addClass('subTitle')
-                                              .append($('<span>')
-                                              .text(this.sub_title));
-                    modal_header.addClass('hasSubTitle');
-                }
+            // Galleries keep both so items can fill them in later.
+            if (this.title != '' || this.gallery) {
+                title.addClass('title')
+                     .append($('<span>').text(this.title));
                 
-                if (title_text) {
-                    title = $('<div>').addClass('modalTitle');
-                    title.append(title_text);
+                if (this.title == '') {
+                    title.hide();
                 }
+            } else {
+                title.remove();
+            }
+            
+            if (this.sub_title != '' || this.gallery) {
+                sub_title.addClass('subTitle')
+                         .append($('<span>').text(this.sub_title));
                 
-                if (sub_title_text) {
-                    title.append(sub_title_text);
+                if (this.sub_title == '') {
+                    sub_title.hide();
+                } else {
+                    modal_header.addClass('hasSubTitle');
                 }
-                
-                title.appendTo(modal_header);
+            } else {
+                sub_title.remove();
             }
             
             if (this.minimizable) {
                 modal_header.addClass('hasMinimize');
             }
             
-            modal_header.appendTo(modal_inner);
-            
             var window_actions, min_container, modal_closer;
-            modal_closer   = $('<button>').addClass('modalExit');
-            window_actions = $('<div>').addClass('windowActions');
+            window_actions = this._getSlot(modal_dom, 'actions').addClass('windowActions');
             
             if (this.minimizable) {
                 min_container = $('<span>').addClass('modalMinContainer');
                 $('<button>').addClass('btnMinimize')
-                             .text('_')
+                             .attr('aria-label', this.translate('minimize'))
+                             .text(this.translate('minimize_glyph'))
                              .appendTo(min_container);
                 min_container.appendTo(window_actions);
             }
             
             if (!this.no_close_button) {
-                // Place the DOM that holds the minimize and close button in the header.
-                window_actions.append(modal_closer)
-                              .prependTo(modal_header);
+                modal_closer = $('<button>').addClass('modalExit')
+                                            .attr('aria-label', this.translate('close'))
+                                            .appendTo(window_actions);
                 
                 // Add the close button to the closer container.
                 $('<span>').addClass('modalExit')
-                           .text('X')
+                           .attr('aria-hidden', 'true')
+                           .text(this.translate('close_glyph'))
                            .appendTo(modal_closer);
             }
-           
-           modal_header.append($('<div>').addClass('spreader'));
-           
-           return modal_dom;
+            
+            if (!window_actions.children()[0]) {
+                window_actions.remove();
+            }
+            
+            return modal_dom;
         },
         
         /**
-         * Render the wrapper immediately around the content to display.
+         * Fill the notify and body slots with the content to display.
          * 
          * @param {jQuery} modal_dom
          * 
@@ -366,31 +501,27 @@
          */
         _renderModalContentWrapper : function (modal_dom)
         {
-            var modal_body, modal_inner;
-            modal_inner = modal_dom.find('.modalInner');
-            modal_body  = modal_dom.find('.modalBodyContainer');
+            var modal_body;
+            modal_body = this._getSlot(modal_dom, 'body');
             
             if (this.content_selector) {
                 this.content = $(this.content_selector).html();
             }
             
-            $('<div>').addClass('modalBody')
-                      .append(
-                          $('<div>').addClass('notifyRibbon')
-                      )
-                      .append(
-                          $('<div>').addClass('modalBodyContent')
-                                    .html(this.content)
-                      ).appendTo(modal_body);
+            this._getSlot(modal_dom, 'notify').addClass('notifyRibbon');
             
-            modal_body.appendTo(modal_inner)
-                      .append($('<div>').addClass('spreader'));
+            modal_body.addClass('modalBodyContent')
+                      .html(this.content);
+            
+            if (this.gallery) {
+                this._renderGalleryControls(modal_body.parent());
+            }
             
             return modal_dom;
         },
         
         /**
-         * Render the footer if there is one.
+         * Fill the footer slot if there is a footer.
          * 
          * @param {jQuery} modal_dom
          * 
@@ -398,31 +529,36 @@
          */
         _renderModalFooter : function (modal_dom)
         {
+            var modal_footer = this._getSlot(modal_dom, 'footer');
             if (!this.footer && !this.user_actions) {
+                modal_footer.remove();
                 return modal_dom;
             }
             
-            var context, content, idx, properties, modal_inner,
-                modal_footer, foot_cls, foot_content;
+            var context, content, idx, properties, button;
             
             context = this;
             content = this.footer;
             if (this.user_actions && !this.footer) {
                 content = $('<div>').addClass('oneModalUserActions');
                 for (idx in this.user_actions) {
-                    properties = this.user_actions[idx];
-                    button     = $('<button>');
+                    // The label defaults to the key, both can be message keys.
+                    properties = $.extend({'label' : idx}, this.user_actions[idx]);
+                    button     = $('<button>').text(this.translate(properties.label));
                     
-                    if (properties) {
-                        button.attr(properties);
-                    }
-                    
-                    button.appendTo(content);
+                    delete properties.label;
+                    button.attr(properties)
+                          .appendTo(content);
                 }
                 
                 content.find('button').click(function (e) {
                     context.trigger('modal.user_action', e);
-                }).text(ONESITE.tt(idx));
+                    
+                    if ($(this).attr('type') === 'submit' && context.getForm()[0]) {
+                        e.preventDefault();
+                        context.submitForm(this);
+                    }
+                });
             } else {
                 this.log(
                     "'user_actions' button creation was skipped "
@@ -431,19 +567,9 @@
                 );
             }
             
-            modal_inner  = modal_dom.find('.modalInner');
-            modal_footer = modal_dom.find('.modalFooterContainer');
-            
-            foot_cls      = 'modalFooterContent';
-            foot_cls     += this.user_actions ? ' modalHasSubmitButton' : '';
-            foot_content  = $('<div>').addClass(foot_cls)
-                                      .append(content);
-            
-            $('<div>').addClass('modalFooter')
-                      .append(foot_content)
-                      .appendTo(modal_footer);
-            
-            modal_footer.appendTo(modal_inner);
+            modal_footer.addClass('modalFooterContent')
+                        .toggleClass('modalHasSubmitButton', !!this.user_actions)
+                        .append(content);
             
             return modal_dom;
         },
@@ -455,6 +581,8 @@
          */
         _renderModalCallback : function ()
         {
+            this.focusInitial();
+            
             // Fire the events that were bound using the Eventable methods.
             this.trigger('modal.render');
             
@@ -471,637 +599,4747 @@
         },
         
         /**
-         * A callback function fired when the modal is minimized.
-         *
+         * Apply the WAI-ARIA dialog attributes to the modal's DOM.
+         * 
          * @returns {modal}
          */
-         _minimizeCallback : function ()
-         {
-            // Fire the custom event.
-            this.trigger('modal.minimize');
+        _applyAria : function ()
+        {
+            var title, content;
+            title   = $('.title', this.window);
+            content = $('.modalBodyContent', this.window);
             
-            if (typeof this.minimize_callback != 'function') {
-                return this;
+            this.window.attr({
+                'role'       : this.role,
+                'aria-modal' : this.overlay !== false ? 'true' : 'false',
+                'tabindex'   : -1
+            });
+            
+            if (title[0]) {
+                title.attr('id', this.modal_id + 'Title');
+                this.window.attr('aria-labelledby', this.modal_id + 'Title');
             }
             
-            this.minimize_callback(this);
+            content.attr('id', this.modal_id + 'Content');
+            this.window.attr('aria-describedby', this.modal_id + 'Content');
             
             return this;
-         },
-         
+        },
+        
         /**
-         * Apply some default classes to the modal if we detect common types
-         * of content in the modal's body.
+         * Fetch the modal's locale, falling back on modal.i18n.locale.
          * 
-         * @returns {modal}
+         * @returns string
          */
-        _applyContentSpecificClasses : function ()
+        getLocale : function ()
         {
-            if ($('img', this.window)[0]) {
-                this.window.addClass('modalHasPhoto');
-            } else if ($('video', this.window)[0]) {
-                this.window.addClass('modalHasVideo');
-            } else if ($('iframe', this.window)[0]) {
-                this.window.addClass('modalHasIframe');
+            return this.locale || modal.i18n.locale;
+        },
+        
+        /**
+         * Translate a message key in the modal's locale.
+         * 
+         * @param string key
+         * @param object params Values for the message's {placeholders}.
+         * 
+         * @returns string
+         */
+        translate : function (key, params)
+        {
+            return modal.i18n.t(key, params, this.getLocale());
+        },
+        
+        /**
+         * Determine whether the modal's locale is written right to left.
+         * 
+         * @returns boolean
+         */
+        isRtl : function ()
+        {
+            return modal.i18n.isRtl(this.getLocale());
+        },
+        
+        /**
+         * Swap left and right in a dock position for right to left locales,
+         * so that 'left' always means the side the text starts from.
+         * 
+         * @param string position
+         * 
+         * @returns string
+         */
+        mirrorSide : function (position)
+        {
+            if (!position || !this.isRtl()) {
+                return position;
             }
             
-            return this;
+            return position.replace(/left|right/, function (side) {
+                return 'left' === side ? 'right' : 'left';
+            });
         },
         
         /**
-         * Build the Overlay
-         *
+         * Apply the locale's language and direction to the modal.
+         * 
          * @returns {modal}
          */
-        _renderOverlay : function()
+        _applyLocale : function ()
         {
-            if (false === this.overlay) {
-                return this;
+            if (this.locale) {
+                this.window.attr('lang', this.locale);
             }
             
-            var overlay = $('<div>').addClass('overlay')
-                                    .attr('id', this.overlay_id)
-                                    .css({
-                                       'display' : 'none',
-                                       'opacity' : this.overlay
-                                    });
-            overlay.appendTo('body');
-            overlay.fadeIn(this.speed);
+            if (this.isRtl()) {
+                this.window.attr('dir', 'rtl')
+                           .addClass('modalRtl');
+            }
             
             return this;
         },
         
         /**
-         * Bind user actions related to the modal.
+         * Resolve the theme setting, following the OS colour scheme when it
+         * is set to 'auto'.
          * 
-         * @returns {modal}
+         * @returns string
          */
-        _bindKeys : function ()
+        getThemeName : function ()
         {
-            $(':input').bind('focusin focusout', function (e) {
-                this.input_has_focus = e.type == 'focusin';
-            });
-            
-            var context = this;
-            $(window).keypress(function (e) {
-                var hidden = context.window.is(':hidden');
-                if (e.keyCode == 27 && !hidden) {
-                    context.kill();
-                } else if (e.ctrlKey
-                           && context.snap
-                           && !context.input_has_focus
-                           && !hidden
-                ) {
-                    // Opera uses ctrl left/right to navigate tabs.
-                    if (e.keyCode == 37) {
-                        context.dock(null).dock('left');
-                        e.preventDefault();
-                    } else if (e.keyCode == 39) {
-                        context.dock(null).dock('right');
-                        e.preventDefault();
-                    } else if (e.keyCode == 40) {
-                        context.dock(null);
-                        if (context.center) {
-                            context.alignCenter();
-                        }
-                        e.preventDefault();
-                    }
-                }
-            });
-            
-            $(window).resize(function () {
-                if (context.center_resize) {
-                    context.alignCenter();
-                }
-                
-                if (!context.window.hasClass('modalDocked')) {
-                    return this;
-                }
-                
-                context.dock(null);
-                
-                if (context.window.hasClass('dockRight')) {
-                    context.dock('right');
-                } else {
-                    context.dock('left');
-                }
-            });
+            if ('auto' === this.theme) {
+                return modal.auto_themes[modal.getColorScheme()];
+            }
             
-            $('.modalExit', this.window).click(function () {
-                context.kill();
-            });
+            return this.theme;
+        },
+        
+        /**
+         * Fetch the tokens of the modal's theme.
+         * 
+         * @returns object
+         */
+        getThemeTokens : function ()
+        {
+            return $.extend({}, modal.themes[this.getThemeName()]);
+        },
+        
+        /**
+         * Switch the theme without rebuilding the modal.
+         * 
+         * @param string name A registered theme, a theme class or 'auto'.
+         * 
+         * @returns {modal}
+         */
+        setTheme : function (name)
+        {
+            this.theme = name;
             
-            if (this.minimizable) {
-                $('.btnMinimize', this.window).click(function () {
-                    context.minimize();
-                });
-            }
+            return this.window ? this._applyTheme() : this;
+        },
+        
+        /**
+         * Apply the theme's class and CSS variables to the modal, and to the
+         * overlay when the modal owns it.
+         * 
+         * @returns {modal}
+         */
+        _applyTheme : function ()
+        {
+            var previous, name;
+            previous = this._applied_theme;
+            name     = this.getThemeName();
             
-            if (!this.draggable || !this.snap) {
-                return this;
+            if ('auto' === this.theme) {
+                modal._watchColorScheme();
             }
             
-            if (typeof $('body').draggable == 'undefined') {
-                /* jQuery UI wasn't loaded on the page, ignore
-                 * draggable requirements.
-                 */
+            if (previous === name) {
                 return this;
             }
             
-            // Required for IE9 otherwise funky shizz happens.
-            this.window.css('position', 'fixed');
+            this._applied_theme = name;
+            this.window.removeClass(previous || '')
+                       .addClass(name);
+            modal.setCssVariables(this.window[0], this.getThemeTokens());
             
-            $(this.window).bind('dragstart', function () {
-                context.window.css('right', '');
-            });
+            if (modal.overlay_layer.owner === this) {
+                modal.overlay_layer.update();
+            }
             
-            $(this.window).bind('dragstop', function (event) {
-                var left, right, window_max;
-                left       = context.window.position().left;
-                right      = left + context.window.outerWidth();
-                window_max = $(document).width();
-                
-                if ($(this).hasClass('modalDocked')) {
-                    context.dock(null);
-                    // Without this, absolute is applied - grahhh!
-                    context.window.css('position', 'fixed');
-                } else {
-                    if (event.screenX == 0 || left <= 0) {
-                        context.dock('left');
-                    } else if (event.screenX == window_max || right >= window_max) {
-                        context.dock('right');
-                    }
-                }
-            });
+            if (previous) {
+                this.trigger('modal.theme_change', {'theme' : name, 'previous' : previous});
+            }
             
             return this;
         },
         
         /**
-         * Resize the modal to either fit its content or fill the screen.
+         * Fetch the modal's keymap: modal.shortcuts with the shortcuts
+         * setting applied on top. Keys mapped to false are left out.
          * 
-         * @returns {modal}
+         * @returns object
          */
-        resize : function ()
+        getShortcuts : function ()
         {
-            var window_height, inner_height, ele, height;
-            window_height = this.window.height();
+            if (false === this.shortcuts) {
+                return {};
+            }
             
-            ele           = $('.modalBodyContainer', this.window).not(':hidden');
-            ele.hide();
-            inner_height  = $('.modalInner', this.window).not(':hidden')
-                                                         .outerHeight(true);
-            ele.show();
+            var keymap, merged, combo;
+            keymap = {};
+            merged = $.extend({}, modal.shortcuts, this.shortcuts);
             
-            height        = window_height - inner_height;
-            $('.modalBodyContainer', this.window).css({
-                'max-height'     : height,
-                'padding-top'    : 0,
-                'padding-bottom' : 0
-            });
+            for (combo in merged) {
+                if (merged[combo]) {
+                    keymap[modal.normalizeKeyCombo(combo)] = merged[combo];
+                }
+            }
             
-            return this;
+            return keymap;
         },
         
         /**
-         * Resize an iframe inside the modal with a specific width and height.
-         * 
-         * @param mixed width  The iframe's desired width.
-         * @param mixed height The iframe's desired height.
+         * Fetch the elements inside the modal that can receive focus.
          * 
-         * @returns {modal}
+         * @returns {jQuery}
          */
-        resizeIframe : function (width, height)
+        getFocusable : function ()
         {
-            $('iframe', this.window).css({
-                'width'  : width,
-                'height' : height
+            return $(modal.focusable_selector, this.window).filter(function () {
+                var item = $(this);
+                return item.is(':visible') && item.attr('tabindex') != -1;
             });
-            
-            return this;
         },
         
         /**
-         * Minimize a modal and dock it to the bottom of the screen.
+         * Move focus into the modal. Uses the initial_focus selector if one
+         * was set, otherwise the first focusable element in the body, then
+         * anything focusable, then the window itself.
          * 
          * @returns {modal}
          */
-        minimize : function ()
+        focusInitial : function ()
         {
-            this.is_minimized = true;
+            if (!this.window || this.window.is(':hidden')) {
+                return this;
+            }
             
-            this.hide();
+            var target, focusable;
+            if (this.initial_focus) {
+                target = $(this.initial_focus, this.window);
+            }
             
-            if (this.overlay !== false) {
-                $('#' + this.overlay_id).fadeOut(this.speed);
+            if (!target || !target[0]) {
+                focusable = this.getFocusable();
+                target    = focusable.filter(function () {
+                    return !$(this).closest('.windowActions')[0];
+                });
+                
+                if (!target[0]) {
+                    target = focusable;
+                }
             }
             
-            if (!$('.modalMinimizedContainer')[0]) {
-                this.log('Added modal container.');
-                $('<div>').addClass('modalMinimizedContainer').appendTo('body');
+            if (!target[0]) {
+                target = this.window;
             }
             
-            var context, title;
-            context = this;
-            title   = this.sub_title || this.title;
-            $('<span>').addClass('minimizedModal')
-                       .attr('title', title)
-                       .html(this.title)
-                       .click(function () {
-                            $(this).remove();
-                            context.show();
-                            
-                            if (context.window.hasClass('modalDocked')) {
-                                context.overlay.css('display', 'none');
-                            }
-                            
-                            if (context.overlay !== false) {
-                                $('#' + context.overlay_id).fadeIn(context.speed);
-                            }
-                            
-                            context.is_minimized = false;
-                            context._minimizeCallback(context);
-                       }).appendTo('.modalMinimizedContainer');
-            
-            return this._minimizeCallback(this);
+            target.first().focus();
+            
+            return this;
         },
         
         /**
-         * Center the modal on the page.
+         * Keep Tab and Shift+Tab cycling through the modal's elements.
+         * 
+         * @param {jQuery.Event} e
          * 
          * @returns {modal}
          */
-        alignCenter : function ()
+        _trapFocus : function (e)
         {
-            if (!this.window.position) {
+            var focusable, first, last;
+            focusable = this.getFocusable();
+            if (!focusable[0]) {
+                e.preventDefault();
+                this.window.focus();
                 return this;
             }
             
-            this.window.position({
-                'of' : $(window)
-            });
+            first = focusable.first()[0];
+            last  = focusable.last()[0];
+            
+            if (e.shiftKey && (document.activeElement === first || document.activeElement === this.window[0])) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
             
             return this;
         },
         
         /**
-         * Dock or undock the modal.
-         * 
-         * @param string position Where in the window to dock the modal,
-         *                        null to undock.
+         * Give focus back to the element that had it before the modal opened.
          * 
          * @returns {modal}
          */
-        dock : function (position)
+        _restoreFocus : function ()
         {
-            var overlay = $('#' + this.overlay_id);
-            if (!position) {
-                this.log('Docked center!');
-                
-                this.window.removeClass('modalDocked dockLeft dockRight')
-                           .css('bottom', '');
-                
-                $('.modalBodyContainer', this.window).not(':hidden')
-                                                     .removeAttr('style');
-                
-                if (this.overlay !== false) {
-                    if (overlay.is(':hidden')) {
-                        overlay.show();
-                    }
-                }
-                
+            var target = this.return_focus;
+            this.return_focus = null;
+            
+            if (!target || !target.focus || !$.contains(document.documentElement, target)) {
                 return this;
             }
             
-            if (overlay.not(':hidden') && !this.snap_overlay) {
-                overlay.hide();
-            }
+            target.focus();
             
-            var container, bottom;
-            container = $('.modalMinimizedContainer');
-            if (!container.html()) {
-                bottom = 0;
-            } else {
-                bottom = container.outerHeight(true);
-            }
+            return this;
+        },
+        
+        /**
+         * A callback function fired when the modal is minimized.
+         *
+         * @returns {modal}
+         */
+         _minimizeCallback : function ()
+         {
+            // Fire the custom event.
+            this.trigger('modal.minimize');
             
-            if (position == 'left') {
-                this.log('Docked left!');
-                this.window.addClass('modalDocked dockLeft')
-                           .removeAttr('style')
-                           .css('bottom', bottom);
-            } else if (position == 'right') {
-                this.log('Docked right!');
-                this.window.addClass('modalDocked dockRight')
-                           .removeAttr('style')
-                           .css('bottom', bottom);
+            if (typeof this.minimize_callback != 'function') {
+                return this;
             }
             
-            return this.resize();
-        },
-        
+            this.minimize_callback(this);
+            
+            return this;
+         },
+         
         /**
-         * Adds an alert to the top of the Modal to tell the user
-         * that a particular action is required or that an event occur.
+         * Apply some default classes to the modal if we detect common types
+         * of content in the modal's body.
          * 
-         * @return {modal}
+         * @returns {modal}
          */
-        alertMessage : function (message, type)
+        _applyContentSpecificClasses : function ()
         {
-            if (typeof type == 'undefined') {
-                type = 'notification';
-            }
+            this.window.removeClass('modalHasPhoto modalHasVideo modalHasIframe');
             
-            var msg_cls, ribbon;
-            switch (type) {
-                case 2:
-                case 'error':
-                    msg_cls = 'notifyRed';
-                    break;
-                    
-                case 1:
-                case 'notification':
-                    msg_cls = 'notifyYellow';
-                    break;
-                    
-                case 0:
-                case 'success':
-                default:
-                    msg_cls = 'notifyGreen';
+            if ($('img', this.window)[0]) {
+                this.window.addClass('modalHasPhoto');
+            } else if ($('video', this.window)[0]) {
+                this.window.addClass('modalHasVideo');
+            } else if ($('iframe', this.window)[0]) {
+                this.window.addClass('modalHasIframe');
             }
             
-            ribbon = $('.notifyRibbon', this.window)
-            ribbon.addClass(msg_cls)
-                  .html(message)
-                  .slideToggle('slow', function () {
-                      setTimeout(function () {
-                            ribbon.html('')
-                                  .removeClass(msg_cls)
-                                  .slideToggle();
-                            }, 7500);
-                  });
-            
             return this;
         },
         
         /**
-         * Shield the modal from view.
+         * Resize the modal to the width of its media when hug_content is on.
+         * 
+         * @param {jQuery} item The media element that finished loading.
          * 
          * @returns {modal}
          */
-        hide : function ()
+        _hugContent : function (item)
         {
-            this.window.hide();
+            if (!this.hug_content) {
+                return this;
+            }
             
-            this.trigger('modal.hide');
+            // Measure the modal's content width and resize.
+            this.window.css('width', item.outerWidth());
+            this.window.addClass('hugContent');
             
             return this;
         },
         
         /**
-         * Show le modal.
+         * Use the current gallery item as the modal's content and titles.
          * 
          * @returns {modal}
          */
-        show : function ()
+        _prepareGalleryItem : function ()
         {
-            this.window.show();
+            var item;
+            this.gallery       = modal.normalizeGallery(this.gallery);
+            this.gallery_index = Math.max(0, Math.min(this.gallery_index, this.gallery.length - 1));
             
-            this.trigger('modal.show');
+            item = this.gallery[this.gallery_index];
+            this.content = modal.galleryItemMarkup(item);
             
-            return this;
+            return this._setGalleryTitles(item);
         },
         
         /**
-         * Hide the modal's overlay.
+         * Show a gallery item's titles, or the modal's own for those the
+         * item doesn't have.
+         * 
+         * @param object item
          * 
          * @returns {modal}
          */
-        hideOverlay : function ()
+        _setGalleryTitles : function (item)
         {
-            if (this.overlay === false) {
+            if (!this._gallery_titles) {
+                this._gallery_titles = {'title' : this.title, 'sub_title' : this.sub_title};
+            }
+            
+            this.title     = item.title     || this._gallery_titles.title;
+            this.sub_title = item.sub_title || this._gallery_titles.sub_title;
+            
+            if (!this.window) {
                 return this;
             }
             
-            $('#' + this.overlay_id).hide();
+            $('.title', this.window).toggle(this.title != '')
+                                    .children('span').text(this.title);
+            $('.subTitle', this.window).toggle(this.sub_title != '')
+                                       .children('span').text(this.sub_title);
+            $('.modalHeaderContainer', this.window).toggleClass('hasSubTitle', this.sub_title != '');
             
             return this;
         },
         
         /**
-         * Show the modal's overlay.
+         * Build the previous / next buttons and the position counter.
+         * 
+         * @param {jQuery} modal_body
          * 
          * @returns {modal}
          */
-        showOverlay : function ()
+        _renderGalleryControls : function (modal_body)
         {
-            if (this.overlay === false) {
-                return this;
-            }
+            var controls, rtl;
+            controls = $('<div>').addClass('modalGalleryControls');
+            rtl      = this.isRtl();
+            
+            // Right to left galleries run the other way, so do their arrows.
+            $('<button>').attr({'type' : 'button', 'aria-label' : this.translate('previous')})
+                         .addClass('modalGalleryPrev')
+                         .text(this.translate(rtl ? 'next_glyph' : 'previous_glyph'))
+                         .appendTo(controls);
+            
+            $('<span>').addClass('modalGalleryCounter')
+                       .attr('aria-live', 'polite')
+                       .appendTo(controls);
+            
+            $('<button>').attr({'type' : 'button', 'aria-label' : this.translate('next')})
+                         .addClass('modalGalleryNext')
+                         .text(this.translate(rtl ? 'previous_glyph' : 'next_glyph'))
+                         .appendTo(controls);
+            
+            modal_body.addClass('modalGallery')
+                      .append(controls);
+            
+            return this._updateGalleryControls(modal_body);
+        },
+        
+        /**
+         * Refresh the counter and disable the buttons at either end of the
+         * gallery when it doesn't loop.
+         * 
+         * @param {jQuery} scope Defaults to the modal's window.
+         * 
+         * @returns {modal}
+         */
+        _updateGalleryControls : function (scope)
+        {
+            var total = this.gallery.length;
+            scope = scope || this.window;
             
-            $('#' + this.overlay_id).show();
+            $('.modalGalleryCounter', scope).text(this.translate('gallery_counter', {
+                'current' : this.gallery_index + 1,
+                'total'   : total
+            }));
+            
+            $('.modalGalleryPrev', scope).prop('disabled', !this.gallery_loop && this.gallery_index === 0);
+            $('.modalGalleryNext', scope).prop('disabled', !this.gallery_loop && this.gallery_index === total - 1);
+            $('.modalGalleryControls', scope).toggle(total > 1);
             
             return this;
         },
         
         /**
-         * Kill the current modal.
-         *
+         * Show a specific item in the gallery.
+         * 
+         * @param integer index
+         * 
          * @returns {modal}
          */
-        kill : function ()
+        showItem : function (index)
         {
-            if (!$('.modalJS')[0]) {
+            if (!this.gallery || !this.window) {
                 return this;
             }
             
-            this.trigger('modal.close');
-            
-            if (typeof this.close_func == 'function') {
-                this.close_func(this);
-            }
+            var total, item, context, content, media;
+            total = this.gallery.length;
             
-            /* This variable would be set externally, for instance in an
-             * event listener.
-             */
-            if (this.cancel_close) {
-                this.trigger('modal.cancel_close');
+            if (this.gallery_loop) {
+                index = ((index % total) + total) % total;
+            } else if (index < 0 || index >= total) {
                 return this;
             }
             
-            modal.count--;
+            context            = this;
+            this.gallery_index = index;
+            item               = this.gallery[index];
             
-            var context = this;
-            this.window.fadeOut(this.speed, function () {
-                $(this).remove();
-                if (context.overlay === false) {
-                    return false;
+            content = $('.modalBodyContent', this.window).html(modal.galleryItemMarkup(item));
+            
+            this._setGalleryTitles(item)
+                ._updateGalleryControls()
+                ._applyContentSpecificClasses()
+                ._preloadGallery();
+            
+            media = $('img, video, iframe', content);
+            media.bind('load loadedmetadata', function () {
+                context._hugContent($(this));
+                if (context.center) {
+                    context.alignCenter();
                 }
-                
-                $('#' + context.overlay_id).fadeOut('fast', function () {
-                    $(this).remove();
-                });
+            });
+            
+            this.trigger('modal.gallery_change', {
+                'index' : index,
+                'item'  : item,
+                'total' : total
             });
             
             return this;
         },
         
         /**
-         * Transition the modal. Useful for when you change the modal's
-         * contents.
+         * Move to the next gallery item.
          * 
-         * @param {Object} The new settings to apply to the modal.
+         * @returns {modal}
+         */
+        next : function ()
+        {
+            return this.showItem(this.gallery_index + 1);
+        },
+        
+        /**
+         * Move to the previous gallery item.
          * 
          * @returns {modal}
          */
-        transition : function (settings)
+        previous : function ()
         {
-            // Apply the new settings.
-            settings = $.extend(this, settings);
+            return this.showItem(this.gallery_index - 1);
+        },
+        
+        /**
+         * Start loading the images on either side of the current item.
+         * 
+         * @returns {modal}
+         */
+        _preloadGallery : function ()
+        {
+            var offset, index, item, total;
+            total = this.gallery.length;
+            
+            for (offset = 1; offset <= this.gallery_preload; offset++) {
+                index = [this.gallery_index + offset, this.gallery_index - offset];
+                
+                while (index.length) {
+                    item = this.gallery[((index.pop() % total) + total) % total];
+                    if ('image' == item.type && !item.preloaded) {
+                        item.preloaded = true;
+                        new Image().src = item.src;
+                    }
+                }
+            }
             
-            var context, bg_overlay;
+            return this;
+        },
+        
+        /**
+         * Bind the gallery's buttons, arrow keys and swipe gestures.
+         * 
+         * @returns {modal}
+         */
+        _bindGallery : function ()
+        {
+            var context, start;
             context = this;
-            this.window.fadeOut(400, function () {
-                // Prevent the overlay from being removed.
-                bg_overlay      = context.overlay;
-                context.overlay = false;
+            
+            $('.modalGalleryPrev', this.window).click(function () {
+                context.previous();
+            });
+            
+            $('.modalGalleryNext', this.window).click(function () {
+                context.next();
+            });
+            
+            this.window.keydown(function (e) {
+                if (e.ctrlKey || e.altKey || e.metaKey || modal.isTextEntry(e.target)) {
+                    return;
+                }
                 
-                // Remove the modal's DOM.
-                context.window.remove();
+                // The left arrow goes back, unless the gallery runs right to left.
+                if (e.keyCode == (context.isRtl() ? 39 : 37)) {
+                    context.previous();
+                    e.preventDefault();
+                } else if (e.keyCode == (context.isRtl() ? 37 : 39)) {
+                    context.next();
+                    e.preventDefault();
+                }
+            });
+            
+            $('.modalBodyContent', this.window).bind('touchstart', function (e) {
+                var touch = e.originalEvent.touches[0];
+                start = {'x' : touch.clientX, 'y' : touch.clientY};
+            }).bind('touchend', function (e) {
+                if (!start) {
+                    return;
+                }
                 
-                // Bring it back.
-                context.renderModal();
+                var touch, delta_x, delta_y;
+                touch   = e.originalEvent.changedTouches[0];
+                delta_x = touch.clientX - start.x;
+                delta_y = touch.clientY - start.y;
+                start   = null;
+                
+                if (Math.abs(delta_x) < 50 || Math.abs(delta_x) < Math.abs(delta_y)) {
+                    return;
+                }
                 
-                // Register the overlay ID back to the modal.
-                context.overlay = bg_overlay;
+                if ((delta_x < 0) !== context.isRtl()) {
+                    context.next();
+                } else {
+                    context.previous();
+                }
             });
             
-            return this;
-        }
-    };
-    
-    /**
-     * Count of the number of modals that are still included in the DOM.
-     * 
-     * @var integer
-     */
-    modal.count = 0;
-    
-    /**
-     * Stores the last modal created.
-     * 
-     * @var {modal}
-     */
-    modal.last_modal = null;
-    
-    /**
-     * Bring up a confirmation window and fire an event when closed.
-     * 
-     * To listen to when a button is clicked use:
-     *    .addListener('modal.confirm_selected', function (event) {});
-     * 
-     * @param string title
-     * @param string content
-     * @param array  buttons
-     * 
-     * @return {modal}
-     */
-    modal.confirmBox = function (title, content, buttons)
-    {
-        if (typeof title !== 'string') {
-            title = '';
-        }
-        
-        if (typeof content !== 'string') {
-            content = ONESITE.tt('Are you sure?');
-        }
-        
-        if (typeof buttons == 'string') {
-            buttons = [buttons];
-        } else if (typeof buttons == 'undefined') {
-            buttons = ['Yes', 'Cancel'];
-        }
+            return this._preloadGallery();
+        },
         
-        var footer, idx, item, button, box;
-        footer = $('<div>').addClass('oneModalConfirmButtonWrapper');
-        for (idx = 0; idx < buttons.length; idx++) {
-            item   = buttons[idx];
-            button = $('<button>');
-            button.addClass('oneModalConfirmButtons oneButtonGlobal')
-                  .text(item)
-                  .data('value', item.toLowerCase());
+        /**
+         * Build the Overlay. A single overlay is shared by every modal,
+         * the manager decides which modal it belongs to.
+         *
+         * @returns {modal}
+         */
+        _renderOverlay : function()
+        {
+            if (false === this.overlay) {
+                return this;
+            }
             
-            footer.append(button);
-        }
+            modal.overlay_layer.render();
+            
+            return this;
+        },
         
-        box = new modal({
-            'title'           : title,
-            'content'         : content,
-            'footer'          : footer,
-            'modal_class'     : 'oneModalConfirm',
-            'no_close_button' : true
-        }).addListener('modal.render', function (event) {
-            $('#' + this.modal_id + ' button').click(function (e) {
-                var value = $(e.currentTarget).data('value');
-                event.target.trigger('modal.confirm_selected', value);
-            });
-        }).renderModal();
+        /**
+         * Determine if the shared overlay should be displayed beneath
+         * this modal.
+         * 
+         * @returns boolean
+         */
+        wantsOverlay : function ()
+        {
+            return this.overlay !== false
+                && null !== this.window
+                && !this.is_minimized
+                && !this.overlay_hidden;
+        },
         
-        return box;
-    };
-    
-    /**
-     * Fetch a modal from a specified link.
-     * All modal variables are passed in from data.content.
+        /**
+         * Bind user actions related to the modal.
+         * 
+         * @returns {modal}
+         */
+        _bindKeys : function ()
+        {
+            // Keyboard shortcuts are routed to the topmost modal by
+            // modal.handleShortcut(), see modal.shortcuts.
+            var context = this;
+            
+            // Rendering again, e.g. from transition(), must not stack handlers.
+            $(window).unbind(this.getEventNamespace());
+            
+            $(window).bind('resize' + this.getEventNamespace(), function () {
+                context._updatePresentation();
+                
+                // Don't undo a position the user chose, or one restored for them.
+                if (context.center_resize && !context.user_positioned) {
+                    context.alignCenter();
+                }
+                
+                if (!context.docked_side) {
+                    return this;
+                }
+                
+                modal.manager.layoutDocked(context.docked_side);
+            });
+            
+            this._bindSheetGestures();
+            
+            this.window.keydown(function (e) {
+                if (e.keyCode == 9) {
+                    context._trapFocus(e);
+                }
+            });
+            
+            $('.modalExit', this.window).click(function () {
+                context.kill();
+            });
+            
+            if (this.minimizable) {
+                $('.btnMinimize', this.window).click(function () {
+                    context.minimize();
+                });
+            }
+            
+            if (this.gallery) {
+                this._bindGallery();
+            }
+            
+            // Pressing Enter inside the form should use AJAX as well.
+            if (this.form) {
+                this.getForm().submit(function (e) {
+                    e.preventDefault();
+                    context.submitForm();
+                });
+            }
+            
+            if (this.resizable) {
+                this._bindResize();
+            }
+            
+            if (!this.draggable) {
+                return this;
+            }
+            
+            // Required for IE9 otherwise funky shizz happens.
+            this.window.css('position', 'fixed');
+            
+            return this._bindDrag();
+        },
+        
+        /**
+         * Add the edge and corner handles used to resize the modal.
+         * 
+         * @param {jQuery} modal_dom
+         * 
+         * @returns {modal}
+         */
+        _renderResizeHandles : function (modal_dom)
+        {
+            var directions, idx;
+            directions = ['n', 'e', 's', 'w', 'ne', 'nw', 'se', 'sw'];
+            
+            for (idx = 0; idx < directions.length; idx++) {
+                $('<div>').addClass('modalResizeHandle modalResize-' + directions[idx])
+                          .attr({
+                              'data-direction' : directions[idx],
+                              'aria-hidden'    : 'true'
+                          })
+                          .appendTo(modal_dom);
+            }
+            
+            modal_dom.addClass('modalResizable');
+            
+            return this;
+        },
+        
+        /**
+         * Let the user resize the modal with its handles, within the
+         * min_width, max_width, min_height and max_height settings.
+         * 
+         * @returns {modal}
+         */
+        _bindResize : function ()
+        {
+            var context, namespace, events, sizing;
+            context   = this;
+            namespace = '.modalResize' + this.modal_id;
+            events    = modal.pointer_events;
+            
+            /**
+             * Keep a dimension between its min and max settings, and inside
+             * the viewport.
+             * 
+             * @param number value
+             * @param number min
+             * @param number max
+             * @param number limit
+             * 
+             * @returns number
+             */
+            function clamp(value, min, max, limit)
+            {
+                if (max) {
+                    limit = Math.min(limit, max);
+                }
+                
+                return Math.max(Math.min(min || 0, limit), Math.min(value, limit));
+            }
+            
+            /**
+             * Track the pointer and resize the window with it.
+             * 
+             * @param {jQuery.Event} e
+             */
+            function move(e)
+            {
+                var point, delta_x, delta_y, direction, width, height, left, top;
+                point     = modal._pointerPosition(e);
+                delta_x   = point.x - sizing.x;
+                delta_y   = point.y - sizing.y;
+                direction = sizing.direction;
+                width     = sizing.width;
+                height    = sizing.height;
+                left      = sizing.left;
+                top       = sizing.top;
+                
+                if (direction.indexOf('e') > -1) {
+                    width = clamp(width + delta_x, context.min_width, context.max_width, (window.innerWidth || $(window).width()) - left);
+                } else if (direction.indexOf('w') > -1) {
+                    width = clamp(width - delta_x, context.min_width, context.max_width, sizing.left + sizing.width);
+                    left  = sizing.left + sizing.width - width;
+                }
+                
+                if (direction.indexOf('s') > -1) {
+                    height = clamp(height + delta_y, context.min_height, context.max_height, (window.innerHeight || $(window).height()) - top);
+                } else if (direction.indexOf('n') > -1) {
+                    height = clamp(height - delta_y, context.min_height, context.max_height, sizing.top + sizing.height);
+                    top    = sizing.top + sizing.height - height;
+                }
+                
+                context.window.css({
+                    'left'   : left,
+                    'top'    : top,
+                    'right'  : '',
+                    'bottom' : '',
+                    'width'  : width,
+                    'height' : height
+                });
+                
+                context._fitBody();
+                context.trigger('modal.resize', {
+                    'width'  : width,
+                    'height' : height
+                });
+                
+                e.preventDefault();
+            }
+            
+            /**
+             * Stop resizing.
+             */
+            function end()
+            {
+                $(document).unbind(namespace);
+                context.window.removeClass('modalResizing');
+                sizing = null;
+                
+                context.saveState();
+            }
+            
+            $('.modalResizeHandle', this.window).bind(events.start, function (e) {
+                var original, point, rect;
+                original = e.originalEvent || e;
+                
+                if (sizing || context.isSheet() || context.window.hasClass('modalDocked')) {
+                    return;
+                }
+                
+                if (typeof original.button == 'number' && original.button > 0) {
+                    return;
+                }
+                
+                point  = modal._pointerPosition(e);
+                rect   = context.window[0].getBoundingClientRect();
+                sizing = {
+                    'direction' : $(this).attr('data-direction'),
+                    'x'         : point.x,
+                    'y'         : point.y,
+                    'left'      : rect.left,
+                    'top'       : rect.top,
+                    'width'     : rect.right - rect.left,
+                    'height'    : rect.bottom - rect.top
+                };
+                
+                context.window.addClass('modalResizing')
+                              .css('max-width', 'none');
+                
+                $(document).bind(modal._namespaceEvents(events.move, namespace), move)
+                           .bind(modal._namespaceEvents(events.end, namespace), end);
+                
+                e.preventDefault();
+                e.stopPropagation();
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Size the body so it scrolls inside a window with a fixed height,
+         * stretching an embedded iframe along with it.
+         * 
+         * @returns {modal}
+         */
+        _fitBody : function ()
+        {
+            var body, used, height;
+            body = $('.modalBodyContainer', this.window);
+            used = 0;
+            
+            $('.modalHeaderContainer, .modalFooterContainer', this.window).each(function () {
+                used += $(this).outerHeight(true);
+            });
+            
+            height = Math.max(0, this.window.height() - used - (body.outerHeight() - body.height()));
+            body.css({
+                'height'     : height,
+                'max-height' : 'none'
+            });
+            
+            if (this.window.hasClass('modalHasIframe')) {
+                this.resizeIframe('100%', $('.modalBody', this.window).height() - $('.notifyRibbon:visible', this.window).outerHeight(true));
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Let the user drag the modal around by its header.
+         * 
+         * Uses pointer events so mouse, touch and pen all work, falling back
+         * to mouse and touch events in older browsers. The modal is kept
+         * inside the viewport, and dropping it against the left or right
+         * edge docks it to that side when snap is on.
+         * 
+         * @returns {modal}
+         */
+        _bindDrag : function ()
+        {
+            var context, namespace, events, drag;
+            context   = this;
+            namespace = '.modalDrag' + this.modal_id;
+            events    = modal.pointer_events;
+            
+            /**
+             * Track the pointer and move the window with it.
+             * 
+             * @param {jQuery.Event} e
+             */
+            function move(e)
+            {
+                var point, max_left, max_top, left, top;
+                point    = modal._pointerPosition(e);
+                max_left = Math.max(0, (window.innerWidth  || $(window).width())  - drag.width);
+                max_top  = Math.max(0, (window.innerHeight || $(window).height()) - drag.height);
+                left     = Math.min(max_left, Math.max(0, drag.left + point.x - drag.x));
+                top      = Math.min(max_top,  Math.max(0, drag.top  + point.y - drag.y));
+                
+                drag.side = null;
+                if (context.snap) {
+                    drag.side = modal.getSnapZone(point, context.snap_zones);
+                    
+                    // Pushing the window against the side counts as well.
+                    if (!drag.side && left <= 0 && $.inArray('left', context.snap_zones) > -1) {
+                        drag.side = 'left';
+                    } else if (!drag.side && left >= max_left && $.inArray('right', context.snap_zones) > -1) {
+                        drag.side = 'right';
+                    }
+                }
+                
+                modal.manager.previewDock(context, drag.side);
+                
+                context.window.css({
+                    'left'   : left,
+                    'top'    : top,
+                    'right'  : '',
+                    'bottom' : ''
+                });
+                
+                e.preventDefault();
+            }
+            
+            /**
+             * Drop the window, docking it if it was let go against an edge.
+             */
+            function end()
+            {
+                var side, rect;
+                side = drag.side;
+                
+                $(document).unbind(namespace);
+                context.window.removeClass('modalDragging');
+                drag = null;
+                
+                modal.manager.previewDock(context, null);
+                
+                if (side) {
+                    // The snap zone is on screen, it doesn't need mirroring.
+                    context._dockTo(side);
+                } else {
+                    context.user_positioned = true;
+                    context.saveState();
+                }
+                
+                rect = context.window[0].getBoundingClientRect();
+                context.trigger('modal.drag_end', {
+                    'left' : rect.left,
+                    'top'  : rect.top,
+                    'side' : side
+                });
+            }
+            
+            $('.modalHeaderContainer', this.window).bind(events.start, function (e) {
+                var original, point, rect;
+                original = e.originalEvent || e;
+                
+                if (drag || context.isSheet() || (typeof original.button == 'number' && original.button > 0)) {
+                    return;
+                }
+                
+                if ($(e.target).closest('button, a, :input, .windowActions').length) {
+                    return;
+                }
+                
+                if (context.window.hasClass('modalDocked')) {
+                    context.dock(null);
+                }
+                
+                point = modal._pointerPosition(e);
+                rect  = context.window[0].getBoundingClientRect();
+                drag  = {
+                    'x'      : point.x,
+                    'y'      : point.y,
+                    'left'   : rect.left,
+                    'top'    : rect.top,
+                    'width'  : rect.right - rect.left,
+                    'height' : rect.bottom - rect.top,
+                    'side'   : null
+                };
+                
+                context.window.addClass('modalDragging');
+                
+                $(document).bind(modal._namespaceEvents(events.move, namespace), move)
+                           .bind(modal._namespaceEvents(events.end, namespace), end);
+                
+                context.trigger('modal.drag_start', {
+                    'left' : drag.left,
+                    'top'  : drag.top
+                });
+                
+                e.preventDefault();
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Resize the modal to either fit its content or fill the screen.
+         * 
+         * @returns {modal}
+         */
+        resize : function ()
+        {
+            var window_height, inner_height, ele, height;
+            window_height = this.window.height();
+            
+            ele           = $('.modalBodyContainer', this.window).not(':hidden');
+            ele.hide();
+            inner_height  = $('.modalInner', this.window).not(':hidden')
+                                                         .outerHeight(true);
+            ele.show();
+            
+            height        = window_height - inner_height;
+            $('.modalBodyContainer', this.window).css({
+                'max-height'     : height,
+                'padding-top'    : 0,
+                'padding-bottom' : 0
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Resize an iframe inside the modal with a specific width and height.
+         * 
+         * @param mixed width  The iframe's desired width.
+         * @param mixed height The iframe's desired height.
+         * 
+         * @returns {modal}
+         */
+        resizeIframe : function (width, height)
+        {
+            $('iframe', this.window).css({
+                'width'  : width,
+                'height' : height
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Minimize a modal and dock it to the bottom of the screen.
+         * 
+         * @returns {modal}
+         */
+        minimize : function ()
+        {
+            var context = this;
+            this._before('modal.before_minimize').done(function () {
+                context._minimize();
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Minimize the modal once modal.before_minimize allowed it.
+         * 
+         * @returns {modal}
+         */
+        _minimize : function ()
+        {
+            if (this.is_minimized || !modal.manager.has(this)) {
+                return this;
+            }
+            
+            this.is_minimized = true;
+            
+            this._hide();
+            
+            modal.overlay_layer.update();
+            
+            modal.tray.add(this);
+            modal.manager.layoutDocked(this.docked_side);
+            
+            return this.saveState()
+                       ._minimizeCallback(this);
+        },
+        
+        /**
+         * Bring a minimized modal back from the tray.
+         * 
+         * @returns {modal}
+         */
+        restore : function ()
+        {
+            if (!this.is_minimized) {
+                return this;
+            }
+            
+            modal.tray.remove(this);
+            this._show();
+            
+            // Restacking also brings the overlay back.
+            this.is_minimized = false;
+            modal.manager.bringToFront(this)
+                         .layoutDocked(this.docked_side);
+            
+            this.trigger('modal.restore');
+            
+            return this.saveState()
+                       ._minimizeCallback(this)
+                       .focusInitial();
+        },
+        
+        /**
+         * Flag a minimized modal's tray entry as needing attention.
+         * 
+         * @param mixed count A number to show in the badge, true to show an
+         *                    empty badge, false or 0 to clear it.
+         * 
+         * @returns {modal}
+         */
+        flagAttention : function (count)
+        {
+            if (typeof count == 'undefined') {
+                count = true;
+            }
+            
+            this.attention = count;
+            modal.tray.refresh(this);
+            
+            return this;
+        },
+        
+        /**
+         * Determine if the modal is currently displayed as a sheet.
+         * 
+         * @returns boolean
+         */
+        isSheet : function ()
+        {
+            return null !== this.window && this.window.hasClass('modalSheet');
+        },
+        
+        /**
+         * Switch between the window and sheet layouts based on the width
+         * of the viewport and the sheet_breakpoint setting.
+         * 
+         * @returns {modal}
+         */
+        _updatePresentation : function ()
+        {
+            var small, style;
+            small = false !== this.sheet_breakpoint
+                 && (window.innerWidth || $(window).width()) < this.sheet_breakpoint;
+            
+            if (small === this.isSheet()) {
+                return this;
+            }
+            
+            style = this.window[0].style;
+            if (small) {
+                this.log('Switched to the sheet layout.');
+                
+                if (this.window.hasClass('modalDocked')) {
+                    this.dock(null);
+                }
+                
+                this._windowed_width = style.width;
+                
+                this.window.css({'left' : '', 'top' : '', 'right' : '', 'bottom' : '', 'width' : ''})
+                           .addClass('modalSheet modalSheet' + (this.sheet_style == 'bottom' ? 'Bottom' : 'Full'));
+                
+                return this;
+            }
+            
+            this.log('Switched to the window layout.');
+            
+            this.window.removeClass('modalSheet modalSheetBottom modalSheetFull')
+                       .css({'transform' : '', 'width' : this._windowed_width || ''});
+            
+            return this.alignCenter();
+        },
+        
+        /**
+         * Close the sheet when its header is swiped down.
+         * 
+         * @returns {modal}
+         */
+        _bindSheetGestures : function ()
+        {
+            var context, start, delta;
+            context = this;
+            
+            $('.modalHeaderContainer', this.window).bind('touchstart', function (e) {
+                if (!context.isSheet()) {
+                    return;
+                }
+                
+                start = e.originalEvent.touches[0].clientY;
+                delta = 0;
+            }).bind('touchmove', function (e) {
+                if (null === start || typeof start == 'undefined') {
+                    return;
+                }
+                
+                // Dragging the sheet, not scrolling the page behind it.
+                e.preventDefault();
+                
+                delta = Math.max(0, e.originalEvent.touches[0].clientY - start);
+                context.window.css('transform', 'translateY(' + delta + 'px)');
+            }).bind('touchend touchcancel', function () {
+                if (null === start || typeof start == 'undefined') {
+                    return;
+                }
+                
+                start = null;
+                context.window.css('transform', '');
+                
+                if (delta > modal.sheet_swipe_distance) {
+                    context.kill();
+                }
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Center the modal on the page.
+         * 
+         * @returns {modal}
+         */
+        alignCenter : function ()
+        {
+            if (!this.window || this.isSheet()) {
+                return this;
+            }
+            
+            var width, height;
+            width  = window.innerWidth  || $(window).width();
+            height = window.innerHeight || $(window).height();
+            
+            // The window is fixed, so the viewport is all that matters.
+            this.window.css({
+                'left' : Math.max(0, Math.round((width  - this.window.outerWidth())  / 2)),
+                'top'  : Math.max(0, Math.round((height - this.window.outerHeight()) / 2))
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Dock or undock the modal.
+         * 
+         * Left and right are mirrored for right to left locales.
+         * 
+         * @param string position Where in the window to dock the modal,
+         *                        null to undock.
+         * 
+         * @returns {modal}
+         */
+        dock : function (position)
+        {
+            return this._dockTo(this.mirrorSide(position));
+        },
+        
+        /**
+         * Dock or undock the modal to a position on screen, as is.
+         * 
+         * @param string position
+         * 
+         * @returns {modal}
+         */
+        _dockTo : function (position)
+        {
+            if (this.isSheet()) {
+                // Sheets always fill the bottom of the screen.
+                return this;
+            }
+            
+            var previous = this.docked_side;
+            
+            if (!position) {
+                if (!previous) {
+                    return this;
+                }
+                
+                this.log('Docked center!');
+                
+                this.docked_side = null;
+                this.window.removeClass('modalDocked ' + modal.dock_classes.join(' '))
+                           .css({'left' : '', 'top' : '', 'right' : '', 'bottom' : '', 'width' : '', 'height' : ''});
+                
+                $('.modalBodyContainer', this.window).not(':hidden')
+                                                     .removeAttr('style');
+                
+                // Let the remaining modals on that side fill the gap.
+                modal.manager.layoutDocked(previous);
+                
+                return this.showOverlay()
+                           .saveState();
+            }
+            
+            if ($.inArray(position, modal.dock_positions) < 0) {
+                this.warn('Invalid dock position: ' + position);
+                return this;
+            }
+            
+            if (previous && previous !== position) {
+                this._dockTo(null);
+            }
+            
+            if (!this.snap_overlay) {
+                this.hideOverlay();
+            }
+            
+            this.log('Docked ' + position + '!');
+            
+            this.docked_side = position;
+            this.window.addClass('modalDocked ' + modal.dock_classes[$.inArray(position, modal.dock_positions)]);
+            
+            modal.manager.layoutDocked(position);
+            
+            return this.saveState();
+        },
+        
+        /**
+         * Fetch the side of the screen the modal is docked to.
+         * 
+         * @returns string|null
+         */
+        getDockSide : function ()
+        {
+            return this.mirrorSide(this.docked_side);
+        },
+        
+        /**
+         * Fetch the size of a docked modal along the axis it is docked to.
+         * 
+         * @param integer available The width or height of the viewport.
+         * 
+         * @returns integer
+         */
+        getDockSize : function (available)
+        {
+            var size = this.dock_size;
+            if (typeof size == 'string' && size.indexOf('%') > -1) {
+                return Math.round(available * parseFloat(size) / 100);
+            }
+            
+            return Math.min(available, parseInt(size, 10));
+        },
+        
+        /**
+         * Save the modal's position, size, dock side and minimized state to
+         * localStorage when the persist_key setting is set.
+         * 
+         * @returns {modal}
+         */
+        saveState : function ()
+        {
+            if (!this.persist_key || !this.window) {
+                return this;
+            }
+            
+            var rect, style, state;
+            rect  = this.window[0].getBoundingClientRect();
+            style = this.window[0].style;
+            state = {
+                'version'   : modal.persist_version,
+                'left'      : style.left   ? rect.left : null,
+                'top'       : style.top    ? rect.top  : null,
+                'width'     : style.width  ? parseInt(style.width, 10)  : null,
+                'height'    : style.height ? parseInt(style.height, 10) : null,
+                'dock'      : this.getDockSide(),
+                'minimized' : this.is_minimized
+            };
+            
+            if (this.is_minimized) {
+                // A hidden window measures as zero, keep the last position.
+                state = $.extend(modal.loadPersistedState(this.persist_key), {
+                    'version'   : modal.persist_version,
+                    'minimized' : true
+                });
+            }
+            
+            try {
+                window.localStorage.setItem(modal.persist_prefix + this.persist_key, JSON.stringify(state));
+            } catch (ex) {
+                this.warn('Unable to persist the modal state.', ex);
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Apply the state saved by saveState().
+         * 
+         * @returns {modal}
+         */
+        _restoreState : function ()
+        {
+            if (!this.persist_key || this.restored_state) {
+                return this;
+            }
+            
+            var state, max_left, max_top;
+            state = modal.loadPersistedState(this.persist_key);
+            if (!state) {
+                return this;
+            }
+            
+            this.restored_state = true;
+            
+            if (state.width) {
+                this.window.css('width', state.width);
+            }
+            
+            if (state.height) {
+                this.window.css('height', state.height);
+                this._fitBody();
+            }
+            
+            if (state.dock) {
+                this.dock(state.dock);
+            } else if (null !== state.left && null !== state.top) {
+                // The viewport may have shrunk since the state was saved.
+                max_left = Math.max(0, (window.innerWidth  || $(window).width())  - this.window.outerWidth());
+                max_top  = Math.max(0, (window.innerHeight || $(window).height()) - this.window.outerHeight());
+                
+                this.window.css({
+                    'left' : Math.min(max_left, Math.max(0, state.left)),
+                    'top'  : Math.min(max_top,  Math.max(0, state.top))
+                });
+                
+                this.user_positioned = true;
+            }
+            
+            if (state.minimized && this.minimizable) {
+                this.minimize();
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Adds an alert to the top of the Modal to tell the user
+         * that a particular action is required or that an event occur.
+         * 
+         * @return {modal}
+         */
+        alertMessage : function (message, type)
+        {
+            if (typeof type == 'undefined') {
+                type = 'notification';
+            }
+            
+            var msg_cls, ribbon;
+            switch (type) {
+                case 2:
+                case 'error':
+                    msg_cls = 'notifyRed';
+                    break;
+                    
+                case 1:
+                case 'notification':
+                    msg_cls = 'notifyYellow';
+                    break;
+                    
+                case 0:
+                case 'success':
+                default:
+                    msg_cls = 'notifyGreen';
+            }
+            
+            ribbon = $('.notifyRibbon', this.window)
+            ribbon.addClass(msg_cls)
+                  .html(message)
+                  .slideToggle('slow', function () {
+                      setTimeout(function () {
+                            ribbon.html('')
+                                  .removeClass(msg_cls)
+                                  .slideToggle();
+                            }, 7500);
+                  });
+            
+            return this;
+        },
+        
+        /**
+         * Fetch the form used by the modal's form mode.
+         * 
+         * Form mode is off unless the form setting is set, either to true
+         * for the first form in the modal's content or to a selector.
+         * 
+         * @returns {jQuery}
+         */
+        getForm : function ()
+        {
+            if (!this.window || !this.form) {
+                return $();
+            }
+            
+            if (true !== this.form) {
+                return $(this.form, this.window).filter('form').first();
+            }
+            
+            return $('.modalBodyContent form', this.window).first();
+        },
+        
+        /**
+         * Submit the modal's form using AJAX.
+         * 
+         * The server can reject the submission by responding with an error
+         * status or with {"errors" : {"field_name" : "message"}}. Errors
+         * for fields that aren't in the form, and the response's "message",
+         * are shown with alertMessage().
+         * 
+         * @param {Element} button The button that submitted the form.
+         * 
+         * @returns {modal}
+         */
+        submitForm : function (button)
+        {
+            var context, form, controls, data;
+            context = this;
+            form    = this.getForm();
+            
+            if (!form[0] || this.window.hasClass('modalSubmitting')) {
+                return this;
+            }
+            
+            // The form's submit controls, and the user_actions ones acting for it.
+            controls = $(':submit', form).add($('.oneModalUserActions :submit', this.window))
+                                         .not(':disabled');
+            data     = form.serializeArray();
+            
+            if (button && button.name) {
+                data.push({'name' : button.name, 'value' : $(button).val()});
+            }
+            
+            this._clearFormErrors();
+            this.window.addClass('modalSubmitting');
+            controls.prop('disabled', true);
+            
+            // Stored so that closing the modal aborts it.
+            this.request = $.ajax({
+                'url'      : this.form_url    || form.attr('action') || window.location.href,
+                'type'     : this.form_method || form.attr('method') || 'POST',
+                'dataType' : this.form_data_type,
+                'data'     : $.param(data),
+                'success'  : function (response, status, xhr) {
+                    if (!context.window) {
+                        return;
+                    }
+                    
+                    if (response && response.errors) {
+                        context._showFormErrors(response);
+                        context.trigger('modal.form_error', {
+                            'response' : response,
+                            'xhr'      : xhr
+                        });
+                        
+                        return;
+                    }
+                    
+                    context.trigger('modal.form_success', {
+                        'response' : response,
+                        'xhr'      : xhr
+                    });
+                },
+                'error'    : function (xhr, status, error) {
+                    var response = null;
+                    if (!context.window || 'abort' == status) {
+                        return;
+                    }
+                    
+                    try {
+                        response = $.parseJSON(xhr.responseText);
+                    } catch (ex) {}
+                    
+                    if (response && (response.errors || response.message)) {
+                        context._showFormErrors(response);
+                    } else {
+                        context.alertMessage(context.translate('error'), 'error');
+                    }
+                    
+                    context.trigger('modal.form_error', {
+                        'response' : response,
+                        'xhr'      : xhr,
+                        'status'   : xhr.status,
+                        'error'    : error
+                    });
+                },
+                'complete' : function () {
+                    context.request = null;
+                    if (!context.window) {
+                        return;
+                    }
+                    
+                    context.window.removeClass('modalSubmitting');
+                    controls.prop('disabled', false);
+                }
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Display server side validation errors next to the related fields.
+         * 
+         * @param object response
+         * 
+         * @returns {modal}
+         */
+        _showFormErrors : function (response)
+        {
+            var form, general, name, messages, field, idx;
+            form    = this.getForm();
+            general = [];
+            
+            if (response.message) {
+                general.push(response.message);
+            }
+            
+            for (name in response.errors) {
+                messages = response.errors[name];
+                if (!$.isArray(messages)) {
+                    messages = [messages];
+                }
+                
+                field = $('[name="' + name + '"]', form);
+                if (!field[0]) {
+                    general = general.concat(messages);
+                    continue;
+                }
+                
+                field.addClass('modalFieldError')
+                     .attr('aria-invalid', 'true');
+                
+                $('<span>').addClass('modalFieldErrorMessage')
+                           .text(messages.join(' '))
+                           .insertAfter(field.last());
+            }
+            
+            if (general.length) {
+                // The server may echo user input, show it as text.
+                for (idx = 0; idx < general.length; idx++) {
+                    general[idx] = $('<div>').text(general[idx]).html();
+                }
+                
+                this.alertMessage(general.join('<br />'), 'error');
+            }
+            
+            $('.modalFieldError', form).first().focus();
+            
+            return this;
+        },
+        
+        /**
+         * Remove the errors added by _showFormErrors().
+         * 
+         * @returns {modal}
+         */
+        _clearFormErrors : function ()
+        {
+            var form = this.getForm();
+            
+            $('.modalFieldErrorMessage', form).remove();
+            $('.modalFieldError', form).removeClass('modalFieldError')
+                                       .removeAttr('aria-invalid');
+            
+            return this;
+        },
+        
+        /**
+         * Shield the modal from view.
+         * 
+         * @returns {modal}
+         */
+        hide : function ()
+        {
+            var context, deferred;
+            context  = this;
+            deferred = this._track();
+            
+            this._before('modal.before_hide').done(function () {
+                context._hide().then(deferred.resolve);
+            }).fail(function () {
+                deferred.reject(context);
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Hide the modal once modal.before_hide allowed it.
+         * 
+         * @returns {Promise} Resolved once the animation finished.
+         */
+        _hide : function ()
+        {
+            if (!this.window) {
+                return $.Deferred().resolve(this).promise();
+            }
+            
+            var context = this;
+            return this._animate('hide').done(function () {
+                context.trigger('modal.hide');
+            });
+        },
+        
+        /**
+         * Show le modal.
+         * 
+         * @returns {modal}
+         */
+        show : function ()
+        {
+            var context, deferred;
+            context  = this;
+            deferred = this._track();
+            
+            this._before('modal.before_show').done(function () {
+                context._show().then(deferred.resolve);
+            }).fail(function () {
+                deferred.reject(context);
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Show the modal once modal.before_show allowed it.
+         * 
+         * @returns {Promise} Resolved once the animation finished.
+         */
+        _show : function ()
+        {
+            if (!this.window) {
+                return $.Deferred().resolve(this).promise();
+            }
+            
+            var context = this;
+            return this._animate('show').done(function () {
+                context.trigger('modal.show');
+            });
+        },
+        
+        /**
+         * The Promise of the last show(), hide(), kill(), transition() or
+         * renderModal() call. It resolves with the modal once the animation
+         * finished, and is rejected when a before event cancelled it.
+         * 
+         *    hwnd.kill().promise().done(function () { ... });
+         * 
+         * @returns {Promise}
+         */
+        promise : function ()
+        {
+            if (!this._deferred) {
+                this._deferred = $.Deferred().resolve(this);
+            }
+            
+            return this._deferred.promise();
+        },
+        
+        /**
+         * Start tracking a new action for promise().
+         * 
+         * @returns {Deferred}
+         */
+        _track : function ()
+        {
+            this._deferred = $.Deferred();
+            
+            return this._deferred;
+        },
+        
+        /**
+         * Fetch how long, in milliseconds, the show or hide animation runs.
+         * Falls back on the speed setting, and is 0 when the user prefers
+         * reduced motion.
+         * 
+         * @param string phase show or hide.
+         * 
+         * @returns integer
+         */
+        getAnimationDuration : function (phase)
+        {
+            var duration = this[phase + '_duration'];
+            if (null === duration || typeof duration == 'undefined') {
+                duration = this.speed;
+            }
+            
+            if (typeof duration == 'string') {
+                duration = $.fx.speeds[duration] || $.fx.speeds._default;
+            }
+            
+            if ($.fx.off || modal.prefersReducedMotion()) {
+                return 0;
+            }
+            
+            return duration;
+        },
+        
+        /**
+         * Run the show or hide animation with a CSS transition.
+         * 
+         * The animation setting names the effect, see modal.animations. A
+         * running animation is finished right away when another one starts.
+         * 
+         * @param string phase show or hide.
+         * 
+         * @returns {Promise} Resolved once the animation finished.
+         */
+        _animate : function (phase)
+        {
+            var context, deferred, element, duration, effect, finish, timer;
+            context  = this;
+            deferred = $.Deferred();
+            element  = this.window;
+            duration = this.getAnimationDuration(phase);
+            effect   = 'modalAnim-' + this.animation;
+            
+            this._stopAnimation(true);
+            
+            if ('show' === phase) {
+                element.show();
+            }
+            
+            if (!this.animation || !duration) {
+                if ('hide' === phase) {
+                    element.hide();
+                }
+                
+                return deferred.resolve(this).promise();
+            }
+            
+            element.addClass('modalAnimated ' + effect)
+                   .toggleClass('modalAnimOut', 'show' === phase);
+            
+            // Flush the styles so the transition has somewhere to start from.
+            element[0].getBoundingClientRect();
+            
+            element.css({
+                'transition-duration'        : duration + 'ms',
+                'transition-timing-function' : this[phase + '_easing']
+            }).toggleClass('modalAnimOut', 'hide' === phase);
+            
+            finish = function () {
+                if ('pending' !== deferred.state()) {
+                    return;
+                }
+                
+                clearTimeout(timer);
+                element.unbind('.modalAnimation');
+                
+                if ('hide' === phase) {
+                    element.hide();
+                }
+                
+                element.removeClass('modalAnimated modalAnimOut ' + effect)
+                       .css({
+                           'transition-duration'        : '',
+                           'transition-timing-function' : ''
+                       });
+                
+                context._animation = null;
+                deferred.resolve(context);
+            };
+            
+            element.bind('transitionend.modalAnimation webkitTransitionEnd.modalAnimation', function (e) {
+                if (e.target === this) {
+                    finish();
+                }
+            });
+            
+            // Browsers skip transitionend when nothing changed.
+            timer = setTimeout(finish, duration + 50);
+            
+            this._animation = {
+                'finish' : finish,
+                'cancel' : function () {
+                    clearTimeout(timer);
+                    element.unbind('.modalAnimation');
+                    context._animation = null;
+                }
+            };
+            
+            return deferred.promise();
+        },
+        
+        /**
+         * Stop the running animation, if any.
+         * 
+         * @param boolean finish Jump to its end instead of dropping it.
+         * 
+         * @returns {modal}
+         */
+        _stopAnimation : function (finish)
+        {
+            if (this._animation) {
+                this._animation[finish ? 'finish' : 'cancel']();
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Fire a cancellable before event.
+         * 
+         * Listeners receive an event with preventDefault() and
+         * waitUntil(promise). The returned Promise resolves when the action
+         * may go ahead and is rejected when it was cancelled. Without any
+         * pending promises it settles right away, so the action still
+         * happens synchronously.
+         * 
+         * @param string type
+         * @param mixed  params
+         * 
+         * @returns {Promise}
+         */
+        _before : function (type, params)
+        {
+            var deferred, prevented, waits, event;
+            deferred  = $.Deferred();
+            prevented = false;
+            waits     = [];
+            event     = {
+                'type'               : type,
+                'preventDefault'     : function () {
+                    prevented = true;
+                },
+                'isDefaultPrevented' : function () {
+                    return prevented;
+                },
+                'waitUntil'          : function (promise) {
+                    waits.push(modal._toDeferred(promise));
+                }
+            };
+            
+            this.trigger(event, params);
+            
+            if (prevented) {
+                return deferred.reject().promise();
+            }
+            
+            if (!waits.length) {
+                return deferred.resolve().promise();
+            }
+            
+            $.when.apply($, waits).done(function () {
+                var idx;
+                for (idx = 0; idx < arguments.length; idx++) {
+                    if (false === arguments[idx]) {
+                        prevented = true;
+                    }
+                }
+                
+                if (prevented) {
+                    deferred.reject();
+                } else {
+                    deferred.resolve();
+                }
+            }).fail(function () {
+                deferred.reject();
+            });
+            
+            return deferred.promise();
+        },
+        
+        /**
+         * Hide the modal's overlay.
+         * 
+         * @returns {modal}
+         */
+        hideOverlay : function ()
+        {
+            this.overlay_hidden = true;
+            modal.overlay_layer.update();
+            
+            return this;
+        },
+        
+        /**
+         * Show the modal's overlay.
+         * 
+         * @returns {modal}
+         */
+        showOverlay : function ()
+        {
+            this.overlay_hidden = false;
+            modal.overlay_layer.update();
+            
+            return this;
+        },
+        
+        /**
+         * Kill the current modal.
+         *
+         * @returns {modal}
+         */
+        kill : function ()
+        {
+            if (!this.window || !modal.manager.has(this) || this.closing) {
+                // The modal was never rendered or is already closing.
+                return this;
+            }
+            
+            var context, deferred;
+            context      = this;
+            deferred     = this._track();
+            this.closing = true;
+            
+            this._before('modal.before_close').done(function () {
+                context.closing = false;
+                context._close().then(deferred.resolve, deferred.reject);
+            }).fail(function () {
+                context.closing = false;
+                context.trigger('modal.cancel_close');
+                deferred.reject(context);
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Close the modal once modal.before_close allowed it.
+         * 
+         * @returns {Promise} Resolved once the modal is gone, rejected when
+         *                    cancel_close stopped it.
+         */
+        _close : function ()
+        {
+            var deferred = $.Deferred();
+            if (!modal.manager.has(this)) {
+                return deferred.resolve(this).promise();
+            }
+            
+            this.trigger('modal.close');
+            
+            if (typeof this.close_func == 'function') {
+                this.close_func(this);
+            }
+            
+            /* This variable would be set externally, for instance in an
+             * event listener. It only cancels this attempt to close.
+             */
+            if (this.cancel_close) {
+                this.cancel_close = false;
+                this.trigger('modal.cancel_close');
+                return deferred.reject(this).promise();
+            }
+            
+            modal.manager.unregister(this)
+                         .layoutDocked(this.docked_side);
+            modal.tray.remove(this);
+            this._restoreFocus();
+            
+            var context = this;
+            this._animate('hide').done(function () {
+                context.destroy();
+                deferred.resolve(context);
+            });
+            
+            return deferred.promise();
+        },
+        
+        /**
+         * Release everything the modal holds on to: its DOM, the handlers
+         * bound to the window and document, its tray entry, the shared
+         * overlay when no other modal needs it and its event listeners.
+         * 
+         * Unlike kill(), the modal is removed right away without firing
+         * modal.close.
+         * 
+         * @returns {modal}
+         */
+        destroy : function ()
+        {
+            var namespace = this.getEventNamespace();
+            
+            this.trigger('modal.destroy');
+            
+            this._stopAnimation(false);
+            
+            if (this.request) {
+                this.request.abort();
+                this.request = null;
+            }
+            
+            $(window).unbind(namespace);
+            $(document).unbind(namespace)
+                       .unbind('.modalDrag' + this.modal_id)
+                       .unbind('.modalResize' + this.modal_id);
+            
+            if (modal.manager.has(this)) {
+                modal.manager.unregister(this)
+                             .layoutDocked(this.docked_side);
+            }
+            
+            modal.manager.previewDock(this, null);
+            modal.tray.remove(this);
+            
+            if (!modal.manager.getAll().length) {
+                modal.overlay_layer.destroy();
+            }
+            
+            if (this.window) {
+                if (this.window.hasClass('ui-draggable') && this.window.draggable) {
+                    this.window.draggable('destroy');
+                }
+                
+                this.window.remove();
+                this.window = null;
+            }
+            
+            this.removeAllListeners();
+            
+            return this;
+        },
+        
+        /**
+         * Fetch the jQuery event namespace used for the modal's handlers on
+         * shared elements such as the window.
+         * 
+         * @returns string
+         */
+        getEventNamespace : function ()
+        {
+            return '.modal' + this.modal_id;
+        },
+        
+        /**
+         * Fire an event on the modal's listeners, then on modal.bus with
+         * event.target set to this modal.
+         * 
+         * @param string|object event
+         * @param mixed         params
+         * 
+         * @returns {modal}
+         */
+        trigger : function (event, params)
+        {
+            if (typeof event == 'string') {
+                event = {'type' : event};
+            }
+            
+            Eventable.prototype.trigger.call(this, event, params);
+            modal.bus.trigger(event, params);
+            
+            return this;
+        },
+        
+        /**
+         * Transition the modal. Useful for when you change the modal's
+         * contents.
+         * 
+         * The hide animation runs before the modal is rebuilt and the show
+         * animation after, promise() resolves once both finished.
+         * 
+         * @param {Object} The new settings to apply to the modal.
+         * 
+         * @returns {modal}
+         */
+        transition : function (settings)
+        {
+            var context, deferred;
+            
+            // Apply the new settings.
+            this.settings(settings);
+            
+            context  = this;
+            deferred = this._track();
+            
+            this._animate('hide').done(function () {
+                if (!modal.manager.has(context)) {
+                    // Closed while fading out.
+                    deferred.reject(context);
+                    return;
+                }
+                
+                // Remove the modal's DOM.
+                context.window.remove();
+                
+                // Bring it back, the manager keeps the shared overlay up.
+                context.renderModal()
+                       .promise()
+                       .then(deferred.resolve, deferred.reject);
+            });
+            
+            return this;
+        }
+    };
+    
+    /**
+     * Translates the built-in strings.
+     * 
+     * Messages are looked up by key in the catalog of the locale, then of
+     * its language ('pt' for 'pt-BR' or 'pt_BR'), then of the fallback
+     * locale. Keys without a message are shown as is, so plain labels can
+     * be passed where a key is expected. {placeholders} are replaced by
+     * params.
+     */
+    modal.i18n = {
+        /**
+         * The locale of modals that don't set their own.
+         * 
+         * @var string
+         */
+        locale : 'en',
+        
+        /**
+         * The locale used when a message is missing.
+         * 
+         * @var string
+         */
+        fallback : 'en',
+        
+        /**
+         * Languages written right to left.
+         * 
+         * @var array
+         */
+        rtl_languages : ['ar', 'dv', 'fa', 'he', 'ps', 'ur', 'yi'],
+        
+        /**
+         * An optional function (key, locale, message) returning the
+         * message for a key, or undefined to use the catalogs. Receives
+         * the catalog's message, if any.
+         * 
+         * @var function
+         */
+        translator : null,
+        
+        /**
+         * Messages by locale, then by key.
+         * 
+         * @var object
+         */
+        catalogs : {
+            'en' : {
+                'close'             : 'Close',
+                'close_glyph'       : 'X',
+                'minimize'          : 'Minimize',
+                'minimize_glyph'    : '_',
+                'close_window'      : 'Close {title}',
+                'untitled'          : 'Untitled',
+                'minimized_windows' : 'Minimized windows',
+                'more_windows'      : 'More windows',
+                'previous'          : 'Previous',
+                'previous_glyph'    : '\u2039',
+                'next'              : 'Next',
+                'next_glyph'        : '\u203A',
+                'gallery_counter'   : '{current} of {total}',
+                'ok'                : 'OK',
+                'cancel'            : 'Cancel',
+                'yes'               : 'Yes',
+                'confirm_message'   : 'Are you sure?',
+                'invalid_value'     : 'Please enter a valid value.',
+                'loading'           : 'Loading...',
+                'error'             : 'An error occurred!',
+                'request_error'     : 'Error occurred during request!'
+            }
+        },
+        
+        /**
+         * Add messages to a locale's catalog.
+         * 
+         * @param string locale
+         * @param object messages
+         * 
+         * @returns {Object}
+         */
+        addCatalog : function (locale, messages)
+        {
+            this.catalogs[locale] = $.extend({}, this.catalogs[locale], messages);
+            
+            return this;
+        },
+        
+        /**
+         * Plug in a translator, see the translator property.
+         * 
+         *    modal.i18n.setTranslator(function (key, locale, message) {
+         *        return ONESITE.tt(message || key);
+         *    });
+         * 
+         * @param function translator
+         * 
+         * @returns {Object}
+         */
+        setTranslator : function (translator)
+        {
+            this.translator = translator;
+            
+            return this;
+        },
+        
+        /**
+         * Translate a message key.
+         * 
+         * @param string key
+         * @param object params Values for the message's {placeholders}.
+         * @param string locale Defaults to the locale property.
+         * 
+         * @returns string
+         */
+        t : function (key, params, locale)
+        {
+            var message, translated;
+            locale  = locale || this.locale;
+            message = this._lookup(key, locale);
+            
+            if (typeof this.translator == 'function') {
+                translated = this.translator(key, locale, message);
+                if (typeof translated == 'string') {
+                    message = translated;
+                }
+            }
+            
+            if (typeof message != 'string') {
+                message = String(key);
+            }
+            
+            return message.replace(/\{(\w+)\}/g, function (match, name) {
+                return params && params.hasOwnProperty(name) ? params[name] : match;
+            });
+        },
+        
+        /**
+         * Find a key's message in the locale's catalogs.
+         * 
+         * @param string key
+         * @param string locale
+         * 
+         * @returns string|undefined
+         */
+        _lookup : function (key, locale)
+        {
+            var locales, idx, catalog;
+            locales = [locale, this.language(locale), this.fallback];
+            
+            for (idx = 0; idx < locales.length; idx++) {
+                catalog = this.catalogs[locales[idx]];
+                if (catalog && catalog.hasOwnProperty(key)) {
+                    return catalog[key];
+                }
+            }
+            
+            return undefined;
+        },
+        
+        /**
+         * Get the language of a locale, 'ar' for 'ar-EG' or 'ar_EG'.
+         * 
+         * @param string locale
+         * 
+         * @returns string
+         */
+        language : function (locale)
+        {
+            return locale.split(/[-_]/)[0].toLowerCase();
+        },
+        
+        /**
+         * Determine whether a locale is written right to left.
+         * 
+         * @param string locale Defaults to the locale property.
+         * 
+         * @returns boolean
+         */
+        isRtl : function (locale)
+        {
+            var language = this.language(locale || this.locale);
+            
+            return $.inArray(language, this.rtl_languages) > -1;
+        }
+    };
+    
+    /**
+     * The template used by modals that don't set their own: the name of a
+     * registered template, a function or a <template> element.
+     * 
+     * @var mixed
+     */
+    modal.template = 'default';
+    
+    /**
+     * Registered templates, by name.
+     * 
+     * A template builds the markup placed inside the modal's window, as a
+     * function receiving the modal and returning an HTML string or DOM, or
+     * as a <template> element. Elements marked with a data-modal-slot
+     * attribute get filled in:
+     *   - header    The drag handle, gets the modalHeaderContainer class.
+     *   - title     The title, removed when there is none.
+     *   - subtitle  The sub title, removed when there is none.
+     *   - actions   The minimize and close buttons.
+     *   - notify    The ribbon used by notify().
+     *   - body      The content.
+     *   - footer    The footer or user_actions buttons, removed when there
+     *               are none.
+     * 
+     * Keep the body inside a .modalBodyContainer and everything inside a
+     * .modalInner to benefit from the sizing and scrolling styles.
+     * 
+     * @var object
+     */
+    modal.templates = {
+        /**
+         * The stock markup.
+         * 
+         * @param {modal} hwnd
+         * 
+         * @returns {jQuery}
+         */
+        'default' : function (hwnd)
+        {
+            var modal_inner, modal_header, modal_body;
+            modal_inner  = $('<div>').addClass('modalInner');
+            modal_header = $('<div>').attr('data-modal-slot', 'header');
+            modal_body   = $('<div>').addClass('modalBodyContainer');
+            
+            $('<div>').attr('data-modal-slot', 'actions')
+                      .appendTo(modal_header);
+            
+            if (hwnd.title || hwnd.sub_title) {
+                $('<div>').addClass('modalTitle')
+                          .append($('<h3>').attr('data-modal-slot', 'title'))
+                          .append($('<h5>').attr('data-modal-slot', 'subtitle'))
+                          .appendTo(modal_header);
+            }
+            
+            $('<div>').addClass('modalBody')
+                      .append($('<div>').attr('data-modal-slot', 'notify'))
+                      .append($('<div>').attr('data-modal-slot', 'body'))
+                      .appendTo(modal_body);
+            
+            modal_inner.append(modal_header.append($('<div>').addClass('spreader')))
+                       .append(modal_body.append($('<div>').addClass('spreader')));
+            
+            if (hwnd.footer || hwnd.user_actions) {
+                $('<div>').addClass('modalFooterContainer')
+                          .append(
+                              $('<div>').addClass('modalFooter')
+                                        .append($('<div>').attr('data-modal-slot', 'footer'))
+                          )
+                          .appendTo(modal_inner);
+            }
+            
+            return modal_inner;
+        }
+    };
+    
+    /**
+     * Register a template, or replace one. Register 'default' to change
+     * the markup of every modal.
+     * 
+     *    modal.registerTemplate('left-close', document.getElementById('leftClose'));
+     *    new modal({'template' : 'left-close'}).renderModal();
+     * 
+     * @param string          name
+     * @param function|string template A function, or a <template> element
+     *                                 or its selector.
+     * 
+     * @returns {modal}
+     */
+    modal.registerTemplate = function (name, template)
+    {
+        modal.templates[name] = template;
+        
+        return modal;
+    };
+    
+    /**
+     * The effects the animation setting accepts. Each one is a
+     * modalAnim-<name> class in modal.css, styled for the hidden state
+     * with modalAnimOut. slide-dock slides in from the side the modal is
+     * docked to. Set animation to false to turn them off.
+     * 
+     * @var array
+     */
+    modal.animations = ['fade', 'zoom', 'slide-up', 'slide-dock'];
+    
+    /**
+     * Determine whether the user asked the OS for reduced motion.
+     * 
+     * @returns boolean
+     */
+    modal.prefersReducedMotion = function ()
+    {
+        return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    };
+    
+    /**
+     * Registered themes, by name, each a map of tokens to values.
+     * 
+     * Tokens become --modal-<token> CSS variables on the modal and the
+     * overlay: background, text-color, border-color, header-background,
+     * header-color, footer-background, action-color, action-hover-color,
+     * radius, shadow and overlay-color. overlay-opacity is used by modals
+     * whose overlay setting is true.
+     * 
+     * The theme's name is also added as a class, so themes can be styled
+     * in CSS as well, like dark and ONEsite in modal.css.
+     * 
+     * @var object
+     */
+    modal.themes = {
+        'dark'    : {},
+        'ONEsite' : {},
+        'night'   : {
+            'background'         : '#1f1f1f',
+            'text-color'         : '#e6e6e6',
+            'border-color'       : '#3a3a3a',
+            'header-background'  : '#2a2a2a',
+            'header-color'       : '#fff',
+            'footer-background'  : '#262626',
+            'action-color'       : '#bbb',
+            'action-hover-color' : '#fff',
+            'shadow'             : '0 3px 12px #000',
+            'overlay-color'      : '#000',
+            'overlay-opacity'    : 0.85
+        }
+    };
+    
+    /**
+     * The themes used by theme: 'auto' for each OS colour scheme.
+     * 
+     * @var object
+     */
+    modal.auto_themes = {
+        'light' : 'dark',
+        'dark'  : 'night'
+    };
+    
+    /**
+     * Register a theme, or replace one.
+     * 
+     *    modal.registerTheme('brand', {
+     *        'header-background' : '#0b5394',
+     *        'header-color'      : '#fff',
+     *        'radius'            : '0'
+     *    });
+     * 
+     * @param string name
+     * @param object tokens
+     * 
+     * @returns {modal}
+     */
+    modal.registerTheme = function (name, tokens)
+    {
+        var idx, stack;
+        modal.themes[name] = tokens;
+        
+        // Live modals using the theme pick up the new tokens.
+        stack = modal.manager.getAll();
+        for (idx = 0; idx < stack.length; idx++) {
+            if (stack[idx]._applied_theme === name) {
+                modal.setCssVariables(stack[idx].window[0], tokens);
+            }
+        }
+        
+        modal.overlay_layer.update();
+        
+        return modal;
+    };
+    
+    /**
+     * Replace the --modal- CSS variables set on an element.
+     * 
+     * @param Element element
+     * @param object  tokens
+     * 
+     * @returns {modal}
+     */
+    modal.setCssVariables = function (element, tokens)
+    {
+        var style, idx, token;
+        style = element.style;
+        
+        for (idx = style.length - 1; idx >= 0; idx--) {
+            if (0 === style[idx].indexOf('--modal-')) {
+                style.removeProperty(style[idx]);
+            }
+        }
+        
+        for (token in tokens) {
+            if (tokens.hasOwnProperty(token)) {
+                style.setProperty('--modal-' + token, String(tokens[token]));
+            }
+        }
+        
+        return modal;
+    };
+    
+    /**
+     * The OS colour scheme.
+     * 
+     * @returns string light or dark.
+     */
+    modal.getColorScheme = function ()
+    {
+        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+            return 'dark';
+        }
+        
+        return 'light';
+    };
+    
+    /**
+     * The media query list watched for theme: 'auto'.
+     * 
+     * @var MediaQueryList
+     */
+    modal._color_scheme_query = null;
+    
+    /**
+     * Re-theme the 'auto' modals whenever the OS colour scheme changes.
+     * Only watches once, on first use.
+     * 
+     * @returns {modal}
+     */
+    modal._watchColorScheme = function ()
+    {
+        if (modal._color_scheme_query || !window.matchMedia) {
+            return modal;
+        }
+        
+        var query, update;
+        query  = window.matchMedia('(prefers-color-scheme: dark)');
+        update = function () {
+            var idx, stack;
+            stack = modal.manager.getAll();
+            for (idx = 0; idx < stack.length; idx++) {
+                if ('auto' === stack[idx].theme) {
+                    stack[idx]._applyTheme();
+                }
+            }
+        };
+        
+        if (query.addEventListener) {
+            query.addEventListener('change', update);
+        } else if (query.addListener) {
+            query.addListener(update);
+        }
+        
+        modal._color_scheme_query = query;
+        
+        return modal;
+    };
+    
+    /**
+     * Count of the number of modals that are still included in the DOM.
+     * Maintained by modal.manager.
+     * 
+     * @var integer
+     */
+    modal.count = 0;
+    
+    /**
+     * Incremented for every modal created, used to build unique DOM IDs.
+     * 
+     * @var integer
+     */
+    modal.uid = 0;
+    
+    /**
+     * How far, in pixels, a sheet's header must be swiped down to close it.
+     * 
+     * @var integer
+     */
+    modal.sheet_swipe_distance = 80;
+    
+    /**
+     * The localStorage key prefix used by the persist_key setting.
+     * 
+     * @var string
+     */
+    modal.persist_prefix = 'ModalJS.';
+    
+    /**
+     * The version of the persisted state format. Saved states with a
+     * different version are ignored.
+     * 
+     * @var integer
+     */
+    modal.persist_version = 1;
+    
+    /**
+     * Load the state saved for a persist_key.
+     * 
+     * @param string key
+     * 
+     * @returns object|null
+     */
+    modal.loadPersistedState = function (key)
+    {
+        var state;
+        try {
+            state = $.parseJSON(window.localStorage.getItem(modal.persist_prefix + key));
+        } catch (ex) {
+            return null;
+        }
+        
+        if (!state || state.version !== modal.persist_version) {
+            return null;
+        }
+        
+        return state;
+    };
+    
+    /**
+     * Remove the persisted state for a persist_key, or for every modal
+     * when no key is given.
+     * 
+     * @param string key
+     * 
+     * @returns void
+     */
+    modal.clearPersistedState = function (key)
+    {
+        var idx, name, keys;
+        try {
+            if (typeof key == 'string') {
+                window.localStorage.removeItem(modal.persist_prefix + key);
+                return;
+            }
+            
+            keys = [];
+            for (idx = 0; idx < window.localStorage.length; idx++) {
+                name = window.localStorage.key(idx);
+                if (0 === name.indexOf(modal.persist_prefix)) {
+                    keys.push(name);
+                }
+            }
+            
+            for (idx = 0; idx < keys.length; idx++) {
+                window.localStorage.removeItem(keys[idx]);
+            }
+        } catch (ex) {}
+    };
+    
+    /**
+     * The default keymap. Maps key combinations to the names of actions
+     * registered with modal.registerAction(). A modal's shortcuts setting
+     * is applied on top, use false to disable a key or the whole keymap.
+     * 
+     *    new modal({'shortcuts' : {'Escape' : false, 'Ctrl+M' : 'minimize'}});
+     * 
+     * @var object
+     */
+    modal.shortcuts = {
+        'Escape'          : 'close',
+        'Ctrl+ArrowLeft'  : 'dockLeft',
+        'Ctrl+ArrowRight' : 'dockRight',
+        'Ctrl+ArrowUp'    : 'dockTop',
+        'Ctrl+ArrowDown'  : 'undock'
+    };
+    
+    /**
+     * Shortcuts that still work while the user is typing in a text field.
+     * 
+     * @var array
+     */
+    modal.typing_shortcuts = ['Escape'];
+    
+    /**
+     * The actions that shortcuts can trigger, keyed by name.
+     * 
+     * @var object
+     */
+    modal.actions = {};
+    
+    /**
+     * Add an action that shortcuts can trigger.
+     * 
+     * The function is called with the modal as "this", and receives the
+     * modal and the keyboard event. Returning false lets the browser
+     * handle the key as usual.
+     * 
+     * @param string   name
+     * @param function func
+     * 
+     * @returns void
+     */
+    modal.registerAction = function (name, func)
+    {
+        modal.actions[name] = func;
+    };
+    
+    /**
+     * Named keys from older browsers and their standard names.
+     * 
+     * @var object
+     */
+    modal._key_aliases = {
+        'Esc'      : 'Escape',
+        'Left'     : 'ArrowLeft',
+        'Right'    : 'ArrowRight',
+        'Up'       : 'ArrowUp',
+        'Down'     : 'ArrowDown',
+        'Del'      : 'Delete',
+        ' '        : 'Space',
+        'Spacebar' : 'Space'
+    };
+    
+    /**
+     * Key codes for browsers that don't support KeyboardEvent.key.
+     * 
+     * @var object
+     */
+    modal._key_codes = {
+        8  : 'Backspace',
+        9  : 'Tab',
+        13 : 'Enter',
+        27 : 'Escape',
+        32 : 'Space',
+        33 : 'PageUp',
+        34 : 'PageDown',
+        35 : 'End',
+        36 : 'Home',
+        37 : 'ArrowLeft',
+        38 : 'ArrowUp',
+        39 : 'ArrowRight',
+        40 : 'ArrowDown',
+        46 : 'Delete'
+    };
+    
+    /**
+     * Put a key combination into its canonical form, e.g.
+     * "shift+ctrl+left" becomes "Ctrl+Shift+ArrowLeft".
+     * 
+     * @param string combo
+     * 
+     * @returns string
+     */
+    modal.normalizeKeyCombo = function (combo)
+    {
+        var parts, modifiers, key, idx, part, lower;
+        parts     = combo.split('+');
+        modifiers = {'Ctrl' : false, 'Alt' : false, 'Shift' : false, 'Meta' : false};
+        key       = '';
+        
+        for (idx = 0; idx < parts.length; idx++) {
+            part  = $.trim(parts[idx]);
+            lower = part.toLowerCase();
+            
+            if ('ctrl' == lower || 'control' == lower) {
+                modifiers.Ctrl = true;
+            } else if ('alt' == lower || 'option' == lower) {
+                modifiers.Alt = true;
+            } else if ('shift' == lower) {
+                modifiers.Shift = true;
+            } else if ('meta' == lower || 'cmd' == lower || 'command' == lower) {
+                modifiers.Meta = true;
+            } else {
+                key = part;
+            }
+        }
+        
+        return modal._buildKeyCombo(modifiers, key);
+    };
+    
+    /**
+     * Build the canonical key combination for a keydown event.
+     * 
+     * @param {jQuery.Event} e
+     * 
+     * @returns string
+     */
+    modal.keyComboFromEvent = function (e)
+    {
+        var original, key;
+        original = e.originalEvent || e;
+        key      = original.key;
+        
+        if (!key || 'Unidentified' == key) {
+            key = modal._key_codes[e.keyCode] || String.fromCharCode(e.keyCode);
+        }
+        
+        return modal._buildKeyCombo({
+            'Ctrl'  : !!e.ctrlKey,
+            'Alt'   : !!e.altKey,
+            'Shift' : !!e.shiftKey,
+            'Meta'  : !!e.metaKey
+        }, key);
+    };
+    
+    /**
+     * Join modifiers and a key into a canonical combination.
+     * 
+     * @param object modifiers
+     * @param string key
+     * 
+     * @returns string
+     */
+    modal._buildKeyCombo = function (modifiers, key)
+    {
+        var combo, name;
+        combo = [];
+        
+        for (name in modifiers) {
+            if (modifiers[name]) {
+                combo.push(name);
+            }
+        }
+        
+        for (name in modal._key_aliases) {
+            if (name.toLowerCase() == key.toLowerCase()) {
+                key = modal._key_aliases[name];
+                break;
+            }
+        }
+        
+        if (1 == key.length) {
+            key = key.toUpperCase();
+        } else if (key.length) {
+            // Named keys are matched case insensitively.
+            for (name in modal._key_codes) {
+                if (modal._key_codes[name].toLowerCase() == key.toLowerCase()) {
+                    key = modal._key_codes[name];
+                }
+            }
+        }
+        
+        combo.push(key);
+        
+        return combo.join('+');
+    };
+    
+    /**
+     * Route a keydown to the topmost modal's keymap.
+     * 
+     * @param {jQuery.Event} e
+     * 
+     * @returns void
+     */
+    modal.handleShortcut = function (e)
+    {
+        var top, combo, action, keymap;
+        top = modal.manager.getTop();
+        if (!top || !top.window || top.window.is(':hidden')) {
+            return;
+        }
+        
+        combo  = modal.keyComboFromEvent(e);
+        keymap = top.getShortcuts();
+        action = keymap[combo];
+        if (!action) {
+            return;
+        }
+        
+        if (modal.isTextEntry(e.target) && $.inArray(combo, modal.typing_shortcuts) < 0) {
+            return;
+        }
+        
+        if (typeof action != 'function') {
+            action = modal.actions[action];
+        }
+        
+        if (typeof action != 'function') {
+            top.warn('Unknown shortcut action for: ' + combo);
+            return;
+        }
+        
+        if (false !== action.call(top, top, e)) {
+            e.preventDefault();
+        }
+    };
+    
+    /**
+     * Determine whether an element takes typed text, where keys shouldn't
+     * trigger shortcuts. Buttons, checkboxes and radios don't.
+     * 
+     * @param {Element} element
+     * 
+     * @returns boolean
+     */
+    modal.isTextEntry = function (element)
+    {
+        var editable;
+        element = $(element);
+        if (element[0] && typeof element[0].isContentEditable == 'boolean') {
+            editable = element[0].isContentEditable;
+        } else {
+            // The closest contenteditable attribute decides, "false" included.
+            editable = element.closest('[contenteditable]')
+                              .not('[contenteditable="false"]')
+                              .length > 0;
+        }
+        
+        if (editable || element.is('textarea, select')) {
+            return true;
+        }
+        
+        return element.is('input')
+            && $.inArray(element.prop('type'), ['button', 'submit', 'reset', 'checkbox', 'radio']) < 0;
+    };
+    
+    modal.registerAction('close', function () {
+        this.kill();
+    });
+    
+    modal.registerAction('minimize', function () {
+        if (!this.minimizable) {
+            return false;
+        }
+        
+        this.minimize();
+    });
+    
+    modal.registerAction('center', function () {
+        this.alignCenter();
+    });
+    
+    modal.registerAction('undock', function () {
+        this.dock(null);
+        if (this.center) {
+            this.alignCenter();
+        }
+    });
+    
+    modal.registerAction('next', function () {
+        if (!this.gallery) {
+            return false;
+        }
+        
+        this.next();
+    });
+    
+    modal.registerAction('previous', function () {
+        if (!this.gallery) {
+            return false;
+        }
+        
+        this.previous();
+    });
+    
+    $.each({
+        'dockLeft'        : 'left',
+        'dockRight'       : 'right',
+        'dockTop'         : 'top',
+        'dockBottom'      : 'bottom',
+        'dockTopLeft'     : 'top-left',
+        'dockTopRight'    : 'top-right',
+        'dockBottomLeft'  : 'bottom-left',
+        'dockBottomRight' : 'bottom-right'
+    }, function (name, position) {
+        modal.registerAction(name, function () {
+            if (!this.snap) {
+                return false;
+            }
+            
+            // Arrow keys point at a side of the screen, whatever the locale.
+            this._dockTo(position);
+        });
+    });
+    
+    $(document).on('keydown.modalShortcuts', modal.handleShortcut);
+    
+    /**
+     * The positions a modal can be docked to.
+     * 
+     * @var array
+     */
+    modal.dock_positions = [
+        'left', 'right', 'top', 'bottom',
+        'top-left', 'top-right', 'bottom-left', 'bottom-right'
+    ];
+    
+    /**
+     * The class names applied for each of the dock positions.
+     * 
+     * @var array
+     */
+    modal.dock_classes = [
+        'dockLeft', 'dockRight', 'dockTop', 'dockBottom',
+        'dockTopLeft', 'dockTopRight', 'dockBottomLeft', 'dockBottomRight'
+    ];
+    
+    /**
+     * The size, in pixels, of the corner zones that dock a dragged modal
+     * to a quarter of the screen.
+     * 
+     * @var integer
+     */
+    modal.drag_corner_size = 60;
+    
+    /**
+     * Find the dock position for a pointer dragged against the edge of the
+     * screen.
+     * 
+     * @param object point The pointer's viewport coordinates.
+     * @param array  zones The dock positions that are allowed.
+     * 
+     * @returns string|null
+     */
+    modal.getSnapZone = function (point, zones)
+    {
+        var width, height, edge, corner, near, zone;
+        width  = window.innerWidth  || $(window).width();
+        height = window.innerHeight || $(window).height();
+        edge   = modal.drag_snap_distance;
+        corner = modal.drag_corner_size;
+        near   = {
+            'left'   : point.x <= edge,
+            'right'  : point.x >= width - edge,
+            'top'    : point.y <= edge,
+            'bottom' : point.y >= height - edge
+        };
+        
+        zone = null;
+        if ((near.left || near.top) && point.x <= corner && point.y <= corner) {
+            zone = 'top-left';
+        } else if ((near.right || near.top) && point.x >= width - corner && point.y <= corner) {
+            zone = 'top-right';
+        } else if ((near.left || near.bottom) && point.x <= corner && point.y >= height - corner) {
+            zone = 'bottom-left';
+        } else if ((near.right || near.bottom) && point.x >= width - corner && point.y >= height - corner) {
+            zone = 'bottom-right';
+        }
+        
+        if (zone && $.inArray(zone, zones) > -1) {
+            return zone;
+        }
+        
+        for (zone in near) {
+            if (near[zone] && $.inArray(zone, zones) > -1) {
+                return zone;
+            }
+        }
+        
+        return null;
+    };
+    
+    /**
+     * How close, in pixels, the pointer must be to the edge of the screen
+     * when dropping a modal for it to dock to that side.
+     * 
+     * @var integer
+     */
+    modal.drag_snap_distance = 10;
+    
+    /**
+     * The events used to follow a pointer. Pointer events cover mouse, touch
+     * and pen, older browsers fall back to mouse and touch events.
+     * 
+     * @var object
+     */
+    modal.pointer_events = window.PointerEvent
+        ? {'start' : 'pointerdown', 'move' : 'pointermove', 'end' : 'pointerup pointercancel'}
+        : {'start' : 'mousedown touchstart', 'move' : 'mousemove touchmove', 'end' : 'mouseup touchend touchcancel'};
+    
+    /**
+     * Add a namespace to every event in a space separated list.
+     * 
+     *    ('mouseup touchend', '.drag') => 'mouseup.drag touchend.drag'
+     * 
+     * @param string events
+     * @param string namespace
+     * 
+     * @returns string
+     */
+    modal._namespaceEvents = function (events, namespace)
+    {
+        return $.map(events.split(' '), function (type) {
+            return type + namespace;
+        }).join(' ');
+    };
+    
+    /**
+     * Fetch the viewport coordinates of a pointer, mouse or touch event.
+     * 
+     * @param {jQuery.Event} e
+     * 
+     * @returns object
+     */
+    modal._pointerPosition = function (e)
+    {
+        var original = e.originalEvent || e;
+        if (original.touches && original.touches.length) {
+            original = original.touches[0];
+        } else if (original.changedTouches && original.changedTouches.length) {
+            original = original.changedTouches[0];
+        }
+        
+        return {'x' : original.clientX, 'y' : original.clientY};
+    };
+    
+    /**
+     * Wrap a value or any thenable, jQuery or native, in a jQuery Promise.
+     * 
+     * @param mixed value
+     * 
+     * @returns {Promise}
+     */
+    modal._toDeferred = function (value)
+    {
+        var deferred = $.Deferred();
+        if (value && typeof value.then == 'function') {
+            value.then(deferred.resolve, deferred.reject);
+        } else {
+            deferred.resolve(value);
+        }
+        
+        return deferred.promise();
+    };
+    
+    /**
+     * Elements that can receive keyboard focus inside of a modal.
+     * 
+     * @var string
+     */
+    modal.focusable_selector = 'a[href], area[href], input:not([disabled]), '
+                             + 'select:not([disabled]), textarea:not([disabled]), '
+                             + 'button:not([disabled]), iframe, [tabindex], '
+                             + '[contenteditable]';
+    
+    /**
+     * Stores the last modal created.
+     * 
+     * @var {modal}
+     */
+    modal.last_modal = null;
+    
+    /**
+     * The global event bus. Every modal re-emits its events here, with
+     * event.target set to the modal that fired it.
+     * 
+     * @var {Eventable}
+     */
+    modal.bus = new Eventable();
+    
+    /**
+     * Listen to an event fired by any modal.
+     * 
+     * @param string   type     Supports namespaces and wildcards.
+     * @param function func_ref
+     * @param int      priority
+     * 
+     * @returns {modal}
+     */
+    modal.on = function (type, func_ref, priority)
+    {
+        modal.bus.addListener(type, func_ref, priority);
+        
+        return modal;
+    };
+    
+    /**
+     * Listen to the next time any modal fires an event.
+     * 
+     * @param string   type
+     * @param function func_ref
+     * @param int      priority
+     * 
+     * @returns {modal}
+     */
+    modal.once = function (type, func_ref, priority)
+    {
+        modal.bus.once(type, func_ref, priority);
+        
+        return modal;
+    };
+    
+    /**
+     * Stop listening to an event on the global bus.
+     * 
+     * @param string   type
+     * @param function func_ref
+     * 
+     * @returns {modal}
+     */
+    modal.off = function (type, func_ref)
+    {
+        modal.bus.removeListener(type, func_ref);
+        
+        return modal;
+    };
+    
+    /**
+     * Dispatch the bus' events as DOM CustomEvents on the document, for
+     * code that doesn't use jQuery or Eventable.
+     * 
+     * The CustomEvent shares the event's name and carries the modal and
+     * params in its detail. Calling preventDefault() on it cancels the
+     * modal.before_* events.
+     * 
+     *    document.addEventListener('modal.close', function (event) {
+     *        console.log(event.detail.modal.modal_id);
+     *    });
+     * 
+     * @param array patterns The events to dispatch, wildcards allowed.
+     *                       Defaults to every modal event.
+     * 
+     * @returns {modal}
+     */
+    modal.bridgeDomEvents = function (patterns)
+    {
+        patterns = patterns || ['modal.*'];
+        
+        modal.unbridgeDomEvents();
+        modal.bus.addListener('*:domBridge', function (event) {
+            var idx;
+            for (idx = 0; idx < patterns.length; idx++) {
+                if (Eventable.matchesType(patterns[idx], event.type)) {
+                    modal._dispatchDomEvent(event);
+                    return;
+                }
+            }
+        });
+        
+        return modal;
+    };
+    
+    /**
+     * Stop dispatching DOM CustomEvents.
+     * 
+     * @returns {modal}
+     */
+    modal.unbridgeDomEvents = function ()
+    {
+        modal.bus.removeListener(':domBridge');
+        
+        return modal;
+    };
+    
+    /**
+     * Dispatch a bus event as a CustomEvent on the document.
+     * 
+     * @param object event
+     * 
+     * @returns {modal}
+     */
+    modal._dispatchDomEvent = function (event)
+    {
+        var detail, dom_event;
+        detail = {'modal' : event.target, 'params' : event.params};
+        
+        if (typeof window.CustomEvent == 'function') {
+            dom_event = new CustomEvent(event.type, {
+                'bubbles'    : false,
+                'cancelable' : true,
+                'detail'     : detail
+            });
+        } else {
+            dom_event = document.createEvent('CustomEvent');
+            dom_event.initCustomEvent(event.type, false, true, detail);
+        }
+        
+        document.dispatchEvent(dom_event);
+        
+        if (dom_event.defaultPrevented && typeof event.preventDefault == 'function') {
+            event.preventDefault();
+        }
+        
+        return modal;
+    };
+    
+    /**
+     * Registry of every live modal instance.
+     * 
+     * The last entry in the stack is the topmost modal, which is the only
+     * one that should respond to keyboard shortcuts and overlay clicks.
+     */
+    modal.manager = {
+        /**
+         * The z-index the bottom most overlay starts at. Every modal
+         * in the stack uses two levels, one for the shared overlay and
+         * one for its window.
+         * 
+         * @var integer
+         */
+        z_index_base : 9997,
+        
+        /**
+         * The open modals, ordered from bottom to top.
+         * 
+         * @var array
+         */
+        _stack : [],
+        
+        /**
+         * Add a modal to the top of the stack.
+         * 
+         * @param {modal} instance
+         * 
+         * @returns {Object}
+         */
+        register : function (instance)
+        {
+            if (!this.has(instance)) {
+                this._stack.push(instance);
+            }
+            
+            modal.count = this._stack.length;
+            
+            return this.restack();
+        },
+        
+        /**
+         * Remove a modal from the stack.
+         * 
+         * @param {modal} instance
+         * 
+         * @returns {Object}
+         */
+        unregister : function (instance)
+        {
+            var idx = $.inArray(instance, this._stack);
+            if (idx > -1) {
+                this._stack.splice(idx, 1);
+            }
+            
+            modal.count = this._stack.length;
+            
+            return this.restack();
+        },
+        
+        /**
+         * Determine if a modal is being tracked.
+         * 
+         * @param {modal} instance
+         * 
+         * @returns boolean
+         */
+        has : function (instance)
+        {
+            return $.inArray(instance, this._stack) > -1;
+        },
+        
+        /**
+         * Move a modal to the top of the stack.
+         * 
+         * @param {modal} instance
+         * 
+         * @returns {Object}
+         */
+        bringToFront : function (instance)
+        {
+            var idx = $.inArray(instance, this._stack);
+            if (idx < 0) {
+                return this;
+            }
+            
+            this._stack.splice(idx, 1);
+            this._stack.push(instance);
+            
+            return this.restack();
+        },
+        
+        /**
+         * Re-apply the z-index of every modal in the stack and move the
+         * shared overlay beneath the topmost modal that wants it.
+         * 
+         * @returns {Object}
+         */
+        restack : function ()
+        {
+            var idx, instance;
+            for (idx = 0; idx < this._stack.length; idx++) {
+                instance = this._stack[idx];
+                if (instance.window) {
+                    instance.window.css('z-index', this.getZIndex(instance) + 1);
+                }
+            }
+            
+            modal.overlay_layer.update();
+            
+            return this;
+        },
+        
+        /**
+         * Fetch the z-index reserved for a modal's overlay level. Its
+         * window sits one level above.
+         * 
+         * @param {modal} instance
+         * 
+         * @returns integer
+         */
+        getZIndex : function (instance)
+        {
+            return this.z_index_base + ($.inArray(instance, this._stack) * 2);
+        },
+        
+        /**
+         * Fetch the topmost modal that should have the overlay beneath it.
+         * 
+         * @returns {modal}|null
+         */
+        getOverlayOwner : function ()
+        {
+            var idx;
+            for (idx = this._stack.length - 1; idx >= 0; idx--) {
+                if (this._stack[idx].wantsOverlay()) {
+                    return this._stack[idx];
+                }
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Position every modal docked to a side. Modals sharing a side are
+         * stacked so they split it rather than overlap.
+         * 
+         * @param string side
+         * 
+         * @returns {Object}
+         */
+        layoutDocked : function (side)
+        {
+            if (!side) {
+                return this;
+            }
+            
+            var members, rects, idx;
+            members = this.getDocked(side);
+            
+            if (!members.length) {
+                return this;
+            }
+            
+            rects = this.getDockRects(side, members.length, members[0]);
+            for (idx = 0; idx < members.length; idx++) {
+                members[idx].window.css($.extend({'right' : '', 'bottom' : ''}, rects[idx]));
+                members[idx].resize();
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Fetch the modals docked to a side, in the order they are laid out.
+         * 
+         * @param string  side
+         * @param {modal} include A modal to count in as if it were docked
+         *                        there already.
+         * 
+         * @returns array
+         */
+        getDocked : function (side, include)
+        {
+            return $.grep(this._stack, function (instance) {
+                return instance === include || (
+                    instance.docked_side === side
+                    && !instance.is_minimized
+                    && null !== instance.window
+                );
+            });
+        },
+        
+        /**
+         * Work out the slots for a number of modals docked to a side.
+         * 
+         * @param string  side
+         * @param integer count
+         * @param {modal} sizer The modal whose dock_size is used.
+         * 
+         * @returns array
+         */
+        getDockRects : function (side, count, sizer)
+        {
+            var width, height, area, rects, idx, vertical;
+            width  = window.innerWidth  || $(window).width();
+            height = (window.innerHeight || $(window).height()) - modal.tray.getHeight();
+            
+            switch (side) {
+                case 'left':
+                case 'right':
+                    area = {'width' : sizer.getDockSize(width), 'height' : height, 'top' : 0};
+                    area.left = 'left' == side ? 0 : width - area.width;
+                    break;
+                    
+                case 'top':
+                case 'bottom':
+                    area = {'width' : width, 'height' : sizer.getDockSize(height), 'left' : 0};
+                    area.top = 'top' == side ? 0 : height - area.height;
+                    break;
+                    
+                default:
+                    area = {
+                        'width'  : Math.floor(width / 2),
+                        'height' : Math.floor(height / 2),
+                        'left'   : side.indexOf('left') > -1 ? 0 : Math.ceil(width / 2),
+                        'top'    : side.indexOf('top')  > -1 ? 0 : Math.ceil(height / 2)
+                    };
+            }
+            
+            rects    = [];
+            vertical = 'top' != side && 'bottom' != side;
+            for (idx = 0; idx < count; idx++) {
+                if (vertical) {
+                    rects.push({
+                        'left'   : area.left,
+                        'width'  : area.width,
+                        'top'    : area.top + Math.floor(area.height / count) * idx,
+                        'height' : Math.floor(area.height / count)
+                    });
+                } else {
+                    rects.push({
+                        'top'    : area.top,
+                        'height' : area.height,
+                        'left'   : area.left + Math.floor(area.width / count) * idx,
+                        'width'  : Math.floor(area.width / count)
+                    });
+                }
+            }
+            
+            return rects;
+        },
+        
+        /**
+         * Show where a dragged modal will land if it is dropped, or hide the
+         * preview when side is null.
+         * 
+         * @param {modal} instance
+         * @param string  side
+         * 
+         * @returns {Object}
+         */
+        previewDock : function (instance, side)
+        {
+            var preview, members, rects;
+            preview = $('#oneDockPreview');
+            
+            if (!side) {
+                preview.remove();
+                return this;
+            }
+            
+            if (!preview[0]) {
+                preview = $('<div>').addClass('modalDockPreview')
+                                    .attr({'id' : 'oneDockPreview', 'aria-hidden' : 'true'})
+                                    .appendTo('body');
+            }
+            
+            // The same slot layoutDocked() will give the modal once docked.
+            members = this.getDocked(side, instance);
+            rects   = this.getDockRects(side, members.length, members[0]);
+            preview.css($.extend({'z-index' : this.getZIndex(instance)}, rects[$.inArray(instance, members)]));
+            
+            return this;
+        },
+        
+        /**
+         * Fetch every live modal, ordered from bottom to top.
+         * 
+         * @returns array
+         */
+        getAll : function ()
+        {
+            return this._stack.slice(0);
+        },
+        
+        /**
+         * Fetch the topmost modal that isn't minimized.
+         * 
+         * @returns {modal}|null
+         */
+        getTop : function ()
+        {
+            var idx;
+            for (idx = this._stack.length - 1; idx >= 0; idx--) {
+                if (!this._stack[idx].is_minimized) {
+                    return this._stack[idx];
+                }
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Find a modal by its modal_id.
+         * 
+         * @param string id
+         * 
+         * @returns {modal}|null
+         */
+        getById : function (id)
+        {
+            var idx;
+            for (idx = 0; idx < this._stack.length; idx++) {
+                if (this._stack[idx].modal_id === id) {
+                    return this._stack[idx];
+                }
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Close every live modal, starting with the topmost.
+         * 
+         * @returns {Object}
+         */
+        closeAll : function ()
+        {
+            var stack, idx;
+            stack = this.getAll();
+            for (idx = stack.length - 1; idx >= 0; idx--) {
+                stack[idx].kill();
+            }
+            
+            return this;
+        }
+    };
+    
+    /**
+     * The overlay shared by every modal.
+     * 
+     * Only one overlay is ever added to the page so stacked modals don't
+     * keep darkening it. Its opacity, colour and blur come from the modal
+     * that currently owns it.
+     */
+    modal.overlay_layer = {
+        /**
+         * The ID given to the overlay's DOM.
+         * 
+         * @var string
+         */
+        overlay_id : 'oneOverlay',
+        
+        /**
+         * The overlay's DOM.
+         * 
+         * @var {jQuery}
+         */
+        element : null,
+        
+        /**
+         * The modal the overlay is currently styled for.
+         * 
+         * @var {modal}
+         */
+        owner : null,
+        
+        /**
+         * Add the overlay to the page if it isn't already there.
+         * 
+         * @returns {Object}
+         */
+        render : function ()
+        {
+            if (this.element && $.contains(document.documentElement, this.element[0])) {
+                return this;
+            }
+            
+            this.element = $('<div>').addClass('overlay')
+                                     .attr('id', this.overlay_id)
+                                     .css({
+                                        'display' : 'none',
+                                        'opacity' : 0
+                                     })
+                                     .click(function () {
+                                        // Modals stacked above the owner didn't ask for an overlay.
+                                        var owner = modal.overlay_layer.owner;
+                                        if (owner && owner === modal.manager.getTop() && owner.overlay_exit) {
+                                            owner.kill();
+                                        }
+                                     })
+                                     .appendTo('body');
+            
+            return this;
+        },
+        
+        /**
+         * Show, restyle or hide the overlay based on the manager's stack.
+         * 
+         * @returns {Object}
+         */
+        update : function ()
+        {
+            var owner, previous, opacity, blur, tokens;
+            owner    = modal.manager.getOverlayOwner();
+            previous = this.owner;
+            
+            this.owner = owner;
+            
+            if (!owner) {
+                if (this.element) {
+                    this.element.stop(true).fadeOut(previous ? previous.getAnimationDuration('hide') : 'fast');
+                }
+                
+                return this;
+            }
+            
+            this.render();
+            
+            tokens  = owner.getThemeTokens();
+            opacity = owner.overlay === true ? (tokens['overlay-opacity'] || 0.75) : owner.overlay;
+            blur    = owner.overlay_blur;
+            if (typeof blur == 'number') {
+                blur += 'px';
+            }
+            
+            this.element.css({
+                'z-index'                 : modal.manager.getZIndex(owner),
+                'background-color'        : owner.overlay_color || '',
+                'backdrop-filter'         : blur ? 'blur(' + blur + ')' : '',
+                '-webkit-backdrop-filter' : blur ? 'blur(' + blur + ')' : ''
+            });
+            
+            modal.setCssVariables(this.element[0], tokens);
+            
+            this.element.stop(true).fadeTo(owner.getAnimationDuration('show'), opacity);
+            
+            return this;
+        },
+        
+        /**
+         * Remove the overlay from the page.
+         * 
+         * @returns {Object}
+         */
+        destroy : function ()
+        {
+            if (this.element) {
+                this.element.stop(true).remove();
+            }
+            
+            this.element = null;
+            this.owner   = null;
+            
+            return this;
+        }
+    };
+    
+    /**
+     * The tray that holds minimized modals.
+     * 
+     * Every entry has restore and close actions and an attention badge.
+     * Entries that don't fit are moved into an overflow menu. The arrow,
+     * Home and End keys move between entries, Delete closes one.
+     */
+    modal.tray = {
+        /**
+         * Selector or element the tray is rendered into.
+         * 
+         * @var mixed
+         */
+        container : 'body',
+        
+        /**
+         * The tray's DOM.
+         * 
+         * @var {jQuery}
+         */
+        element : null,
+        
+        /**
+         * The minimized modals, in the order they were minimized.
+         * 
+         * @var array
+         */
+        _entries : [],
+        
+        /**
+         * Move the tray into another container.
+         * 
+         * @param mixed container
+         * 
+         * @returns {Object}
+         */
+        setContainer : function (container)
+        {
+            this.container = container;
+            if (this.element) {
+                this.element.appendTo($(container));
+                this.layout();
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Add the tray to the page if it isn't already there.
+         * 
+         * @returns {Object}
+         */
+        render : function ()
+        {
+            if (this.element && $.contains(document.documentElement, this.element[0])) {
+                return this;
+            }
+            
+            var context = this;
+            this.element = $('<div>').addClass('modalMinimizedContainer')
+                                     .attr({
+                                         'role'       : 'toolbar',
+                                         'aria-label' : modal.i18n.t('minimized_windows')
+                                     });
+            
+            $('<div>').addClass('modalTrayEntries')
+                      .appendTo(this.element);
+            
+            $('<button>').addClass('modalTrayOverflow')
+                         .attr({'type' : 'button', 'aria-haspopup' : 'true', 'aria-expanded' : 'false'})
+                         .click(function () {
+                             context.toggleMenu();
+                         })
+                         .hide()
+                         .appendTo(this.element);
+            
+            $('<div>').addClass('modalTrayMenu')
+                      .attr('role', 'menu')
+                      .hide()
+                      .appendTo(this.element);
+            
+            this.element.keydown(function (e) {
+                context._navigate(e);
+            }).appendTo($(this.container));
+            
+            $(window).unbind('resize.modalTray')
+                     .bind('resize.modalTray', function () {
+                         context.layout();
+                     });
+            
+            return this;
+        },
+        
+        /**
+         * Add a modal's entry to the tray.
+         * 
+         * @param {modal} instance
+         * 
+         * @returns {Object}
+         */
+        add : function (instance)
+        {
+            if ($.inArray(instance, this._entries) > -1) {
+                return this;
+            }
+            
+            this.render();
+            this._entries.push(instance);
+            
+            var entry, label;
+            label = instance.title || instance.sub_title || instance.translate('untitled');
+            entry = $('<span>').addClass('minimizedModal')
+                               .attr({
+                                   'data-modal-id' : instance.modal_id,
+                                   'title'         : instance.sub_title || instance.title
+                               })
+                               .data('modal', instance);
+            
+            $('<button>').addClass('modalTrayRestore')
+                         .attr('type', 'button')
+                         .text(label)
+                         .click(function () {
+                             instance.restore();
+                         })
+                         .append($('<span>').addClass('modalTrayBadge').hide())
+                         .appendTo(entry);
+            
+            $('<button>').addClass('modalTrayClose')
+                         .attr({
+                             'type'       : 'button',
+                             'aria-label' : instance.translate('close_window', {'title' : label})
+                         })
+                         .text(instance.translate('close_glyph'))
+                         .click(function () {
+                             instance.kill();
+                         })
+                         .appendTo(entry);
+            
+            entry.appendTo($('.modalTrayEntries', this.element));
+            
+            return this.refresh(instance)
+                       .layout();
+        },
+        
+        /**
+         * Remove a modal's entry from the tray.
+         * 
+         * @param {modal} instance
+         * 
+         * @returns {Object}
+         */
+        remove : function (instance)
+        {
+            var idx = $.inArray(instance, this._entries);
+            if (idx < 0) {
+                return this;
+            }
+            
+            this._entries.splice(idx, 1);
+            this.getEntry(instance).remove();
+            instance.attention = false;
+            
+            return this.layout();
+        },
+        
+        /**
+         * Fetch the DOM of a modal's entries, in the tray and the menu.
+         * 
+         * @param {modal} instance
+         * 
+         * @returns {jQuery}
+         */
+        getEntry : function (instance)
+        {
+            if (!this.element) {
+                return $();
+            }
+            
+            return $('[data-modal-id="' + instance.modal_id + '"]', this.element);
+        },
+        
+        /**
+         * Update a modal's attention badge.
+         * 
+         * @param {modal} instance
+         * 
+         * @returns {Object}
+         */
+        refresh : function (instance)
+        {
+            var entry, badge, attention;
+            entry     = this.getEntry(instance);
+            badge     = $('.modalTrayBadge', entry);
+            attention = instance.attention;
+            
+            entry.toggleClass('modalTrayAttention', !!attention);
+            badge.text(typeof attention == 'number' ? attention : '')
+                 .toggle(!!attention);
+            
+            return this.layout();
+        },
+        
+        /**
+         * Fetch the height the tray takes up at the bottom of the screen.
+         * 
+         * @returns integer
+         */
+        getHeight : function ()
+        {
+            if (!this.element || !this._entries.length) {
+                return 0;
+            }
+            
+            return this.element.outerHeight(true);
+        },
+        
+        /**
+         * Move the entries that don't fit in the tray into the overflow menu.
+         * 
+         * @returns {Object}
+         */
+        layout : function ()
+        {
+            if (!this.element) {
+                return this;
+            }
+            
+            var entries, menu, overflow, available, used, hidden;
+            entries  = $('.modalTrayEntries .minimizedModal', this.element);
+            menu     = $('.modalTrayMenu', this.element).empty();
+            overflow = $('.modalTrayOverflow', this.element);
+            hidden   = [];
+            
+            this.element.toggle(this._entries.length > 0);
+            entries.removeClass('modalTrayHidden');
+            overflow.show();
+            
+            available = this.element.width() - overflow.outerWidth(true);
+            used      = 0;
+            
+            entries.each(function () {
+                used += $(this).outerWidth(true);
+                if (used > available) {
+                    hidden.push(this);
+                }
+            });
+            
+            if (!hidden.length) {
+                overflow.hide();
+                this.closeMenu();
+                return this;
+            }
+            
+            $.each(hidden, function () {
+                var entry, instance;
+                entry    = $(this).addClass('modalTrayHidden');
+                instance = entry.data('modal');
+                
+                $('<button>').addClass('modalTrayMenuItem')
+                             .attr({'type' : 'button', 'role' : 'menuitem', 'data-modal-id' : instance.modal_id})
+                             .toggleClass('modalTrayAttention', !!instance.attention)
+                             .text(instance.title || instance.sub_title || instance.translate('untitled'))
+                             .click(function () {
+                                 instance.restore();
+                             })
+                             .appendTo(menu);
+            });
+            
+            overflow.text('+' + hidden.length)
+                    .attr('aria-label', modal.i18n.t('more_windows'));
+            
+            return this;
+        },
+        
+        /**
+         * Open or close the overflow menu.
+         * 
+         * @returns {Object}
+         */
+        toggleMenu : function ()
+        {
+            var menu = $('.modalTrayMenu', this.element);
+            if (menu.is(':visible')) {
+                return this.closeMenu();
+            }
+            
+            menu.show();
+            $('.modalTrayOverflow', this.element).attr('aria-expanded', 'true');
+            $('button', menu).first().focus();
+            
+            return this;
+        },
+        
+        /**
+         * Close the overflow menu.
+         * 
+         * @returns {Object}
+         */
+        closeMenu : function ()
+        {
+            $('.modalTrayMenu', this.element).hide();
+            $('.modalTrayOverflow', this.element).attr('aria-expanded', 'false');
+            
+            return this;
+        },
+        
+        /**
+         * Keyboard navigation between the tray's buttons.
+         * 
+         * @param {jQuery.Event} e
+         */
+        _navigate : function (e)
+        {
+            var buttons, idx, entry;
+            buttons = $('button:visible', this.element).not('.modalTrayClose');
+            idx     = $.inArray(document.activeElement, buttons.get());
+            
+            switch (e.keyCode) {
+                case 37: // Left
+                case 38: // Up
+                    idx = idx <= 0 ? buttons.length - 1 : idx - 1;
+                    break;
+                    
+                case 39: // Right
+                case 40: // Down
+                    idx = idx >= buttons.length - 1 ? 0 : idx + 1;
+                    break;
+                    
+                case 36: // Home
+                    idx = 0;
+                    break;
+                    
+                case 35: // End
+                    idx = buttons.length - 1;
+                    break;
+                    
+                case 27: // Esc
+                    if (!$('.modalTrayMenu', this.element).is(':visible')) {
+                        return;
+                    }
+                    
+                    // Don't let the shortcut close the topmost modal as well.
+                    this.closeMenu();
+                    $('.modalTrayOverflow', this.element).focus();
+                    e.preventDefault();
+                    e.stopPropagation();
+                    return;
+                    
+                case 46: // Delete
+                    entry = $(document.activeElement).closest('[data-modal-id]');
+                    entry = modal.manager.getById(entry.attr('data-modal-id'));
+                    if (entry) {
+                        entry.kill();
+                        e.preventDefault();
+                    }
+                    return;
+                    
+                default:
+                    return;
+            }
+            
+            buttons.eq(idx).focus();
+            e.preventDefault();
+        }
+    };
+    
+    /**
+     * Bring up a confirmation window and fire an event when closed.
+     * 
+     * To listen to when a button is clicked use:
+     *    .addListener('modal.confirm_selected', function (event) {});
+     * 
+     * See modal.confirm() for a Promise based alternative that doesn't
+     * depend on the button's label.
+     * 
+     * @param string title
+     * @param string content
+     * @param array  buttons
+     * @param object settings Any other modal settings, e.g. the locale.
+     * 
+     * @return {modal}
+     */
+    modal.confirmBox = function (title, content, buttons, settings)
+    {
+        if (typeof title !== 'string') {
+            title = '';
+        }
+        
+        if (typeof buttons == 'string') {
+            buttons = [buttons];
+        } else if (typeof buttons == 'undefined') {
+            buttons = ['yes', 'cancel'];
+        }
+        
+        var footer, idx, item, button, box;
+        box = new modal($.extend({
+            'title'           : title,
+            'modal_class'     : 'oneModalConfirm',
+            'role'            : 'alertdialog',
+            'no_close_button' : true
+        }, settings));
+        
+        footer = $('<div>').addClass('oneModalConfirmButtonWrapper');
+        for (idx = 0; idx < buttons.length; idx++) {
+            item   = buttons[idx];
+            button = $('<button>');
+            button.addClass('oneModalConfirmButtons oneButtonGlobal')
+                  .text(box.translate(item))
+                  .data('value', item.toLowerCase());
+            
+            footer.append(button);
+        }
+        
+        box.content = typeof content === 'string' ? content : box.translate('confirm_message');
+        box.footer  = footer;
+        
+        box.addListener('modal.render', function (event) {
+            $('#' + this.modal_id + ' button').click(function (e) {
+                var value = $(e.currentTarget).data('value');
+                event.target.trigger('modal.confirm_selected', value);
+            });
+        }).renderModal();
+        
+        return box;
+    };
+    
+    /**
+     * Bring up an alert box.
+     * 
+     * The returned jQuery promise resolves to 'ok' when the button is
+     * pressed, or null when the alert is dismissed.
+     * 
+     * @param string message
+     * @param object options Dialog options, see modal._dialog().
+     * 
+     * @returns {Promise}
+     */
+    modal.alert = function (message, options)
+    {
+        options = $.extend({
+            'buttons' : [
+                {'label' : 'ok', 'value' : 'ok', 'role' : 'default'}
+            ]
+        }, options);
+        
+        return modal._dialog('alert', message, options);
+    };
+    
+    /**
+     * Bring up a confirmation box.
+     * 
+     * The returned jQuery promise resolves to the value of the button that
+     * was pressed, or null when the box is dismissed without a choice.
+     * 
+     *    modal.confirm('Delete this post?').done(function (value) {
+     *        if (value === 'ok') { ... }
+     *    });
+     * 
+     * @param string message
+     * @param object options Dialog options, see modal._dialog().
+     * 
+     * @returns {Promise}
+     */
+    modal.confirm = function (message, options)
+    {
+        options = $.extend({
+            'buttons' : [
+                {'label' : 'ok',     'value' : 'ok',     'role' : 'default'},
+                {'label' : 'cancel', 'value' : 'cancel', 'role' : 'cancel'}
+            ]
+        }, options);
+        
+        return modal._dialog('confirm', message, options);
+    };
+    
+    /**
+     * Bring up a box asking the user to enter some text.
+     * 
+     * The returned jQuery promise resolves to the entered text, or null
+     * when the box is cancelled or dismissed.
+     * 
+     * Extra options:
+     *   - value       The input's starting value.
+     *   - placeholder The input's placeholder text.
+     *   - input_type  The input's type attribute, defaults to "text".
+     *   - validate    function (value) returning true when the value is
+     *                 valid, otherwise false or an error message. Any
+     *                 other result, undefined included, is invalid.
+     * 
+     * @param string message
+     * @param object options Dialog options, see modal._dialog().
+     * 
+     * @returns {Promise}
+     */
+    modal.prompt = function (message, options)
+    {
+        options = $.extend({
+            'buttons' : [
+                {'label' : 'ok',     'value' : 'ok',     'role' : 'default'},
+                {'label' : 'cancel', 'value' : 'cancel', 'role' : 'cancel'}
+            ]
+        }, options);
+        
+        return modal._dialog('prompt', message, options);
+    };
+    
+    /**
+     * Build the dialog used by alert(), confirm() and prompt().
+     * 
+     * Buttons are either strings or {label, value, role} objects. The
+     * button with role "default" is pressed by Enter and the button with
+     * role "cancel" by Esc. Any option that isn't a dialog option is
+     * passed along to the modal as a setting.
+     * 
+     * The result is a jQuery promise, not a native one: its callbacks run
+     * synchronously and errors thrown in them aren't caught. Wrap it in
+     * Promise.resolve() for native semantics.
+     * 
+     * @param string type    One of alert, confirm or prompt.
+     * @param string message
+     * @param object options
+     * 
+     * @returns {Promise}
+     */
+    modal._dialog = function (type, message, options)
+    {
+        var deferred, settings, buttons, footer, input, error, box,
+            idx, item, button, key, dialog_keys;
+        
+        deferred    = $.Deferred();
+        settings    = {};
+        buttons     = [];
+        dialog_keys = ['buttons', 'value', 'placeholder', 'input_type', 'validate'];
+        
+        for (key in options) {
+            if ($.inArray(key, dialog_keys) < 0) {
+                settings[key] = options[key];
+            }
+        }
+        
+        for (idx = 0; idx < options.buttons.length; idx++) {
+            item = options.buttons[idx];
+            if (typeof item == 'string') {
+                item = {'label' : item, 'value' : item.toLowerCase()};
+            }
+            
+            buttons.push($.extend({'role' : null}, item));
+        }
+        
+        footer = $('<div>').addClass('oneModalConfirmButtonWrapper');
+        for (idx = 0; idx < buttons.length; idx++) {
+            item   = buttons[idx];
+            button = $('<button>').attr('type', 'button')
+                                  .addClass('oneModalConfirmButtons oneButtonGlobal')
+                                  .text(modal.i18n.t(item.label, {}, settings.locale))
+                                  .data('dialog_button', item);
+            
+            if (item.role) {
+                button.addClass('modalButton' + item.role.charAt(0).toUpperCase() + item.role.substr(1));
+            }
+            
+            footer.append(button);
+        }
+        
+        if (!footer.find('.modalButtonDefault')[0]) {
+            footer.find('button').first().addClass('modalButtonDefault');
+        }
+        
+        message = $('<div>').addClass('modalDialogMessage').html(message);
+        if ('prompt' == type) {
+            input = $('<input>').addClass('modalPromptInput')
+                                .attr({
+                                    'type'        : options.input_type || 'text',
+                                    'placeholder' : options.placeholder || ''
+                                })
+                                .val(options.value || '');
+            error = $('<div>').addClass('modalPromptError')
+                              .attr('role', 'alert')
+                              .hide();
+            
+            message = $('<div>').append(message)
+                                .append(input)
+                                .append(error);
+        }
+        
+        /**
+         * Settle the Promise and close the dialog.
+         * 
+         * @param mixed value
+         */
+        function finish(value)
+        {
+            if ('pending' !== deferred.state()) {
+                return;
+            }
+            
+            deferred.resolve(value);
+            box.kill();
+        }
+        
+        /**
+         * Resolve the dialog with the button the user chose.
+         * 
+         * @param object item
+         */
+        function choose(item)
+        {
+            if ('prompt' != type) {
+                finish(item.value);
+                return;
+            }
+            
+            if ('cancel' == item.role) {
+                finish(null);
+                return;
+            }
+            
+            var value, result;
+            value  = input.val();
+            result = typeof options.validate == 'function' ? options.validate(value) : true;
+            
+            if (true === result) {
+                finish(value);
+                return;
+            }
+            
+            error.text(typeof result == 'string' ? result : box.translate('invalid_value'))
+                 .show();
+            input.attr('aria-invalid', 'true')
+                 .focus();
+        }
+        
+        box = new modal($.extend({
+            'title'           : '',
+            'content'         : message,
+            'footer'          : footer,
+            'modal_class'     : 'oneModalConfirm oneModalDialog oneModal' + type.charAt(0).toUpperCase() + type.substr(1),
+            'role'            : 'prompt' == type ? 'dialog' : 'alertdialog',
+            'initial_focus'   : 'prompt' == type ? '.modalPromptInput' : '.modalButtonDefault',
+            'no_close_button' : true
+        }, settings));
+        
+        box.addListener('modal.close', function () {
+            // Closed some other way, e.g. the overlay or a shortcut.
+            if ('pending' === deferred.state()) {
+                deferred.resolve(null);
+            }
+        }).addListener('modal.render', function () {
+            var context = this;
+            $('.oneModalConfirmButtons', this.window).click(function () {
+                choose($(this).data('dialog_button'));
+            });
+            
+            this.window.keydown(function (e) {
+                var target, cancel;
+                if (e.keyCode == 13) {
+                    target = $(e.target);
+                    if (target.is('button, textarea, a')) {
+                        // Let the focused element handle Enter itself.
+                        return;
+                    }
+                    
+                    e.preventDefault();
+                    $('.modalButtonDefault', context.window).click();
+                } else if (e.keyCode == 27) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    
+                    cancel = $('.modalButtonCancel', context.window);
+                    if (cancel[0]) {
+                        cancel.click();
+                    } else {
+                        finish(null);
+                    }
+                }
+            });
+        }).renderModal();
+        
+        return deferred.promise();
+    };
+    
+    /**
+     * Fetch a modal from a specified link.
+     * 
+     * The modal opens right away with a loading state and is filled in
+     * once the request completes. Closing it early aborts the request.
+     * 
+     * With a JSON response, all modal variables are passed in from
+     * data.content and the markup from data.html, any response that isn't
+     * an object is treated as an error. With an HTML response the inside
+     * of its <body>, or the whole response when it has none, becomes the
+     * modal's content.
      * 
      * @param mixed  link     Either the link that was clicked or a uri location (string). 
      * @param object params   Optional params to be send with HTTP request.
      * @param object settings The settings applied to the modal.
+     * @param object options  Request options, see modal.fetch_defaults.
      * 
-     * @returns void
+     * @returns {modal}
      */
-    modal.fetchContent = function (link, params, settings)
+    modal.fetchContent = function (link, params, settings, options)
     {
-        var location, request;
+        var location, cache_key, hwnd, loaded, apply, fail;
         if (typeof link == 'string') {
             location = link;
         } else if (typeof link == 'object' && link.preventDefault) {
             link.preventDefault();
             location = $(link.currentTarget).attr('href');
-        } else if (typeof link == 'object' && link.is && $(link).is('a')) {
+        } else if (typeof link == 'object' && (link.nodeType || link.is) && $(link).is('a')) {
             location = $(link).attr('href');
         }
         
-        request = {'data' : {}};
-        if (typeof params != 'undefined') {
-            request.data = params;
+        if (typeof params == 'undefined' || null === params) {
+            params = {};
+        }
+        
+        options   = $.extend({}, modal.fetch_defaults, options);
+        cache_key = options.method.toUpperCase() + ' ' + location + '?' + $.param(params);
+        
+        hwnd = new modal(settings);
+        hwnd.content     = $('<div>').addClass('modalLoadingIndicator')
+                                     .attr('role', 'status')
+                                     .text(hwnd.translate('loading'));
+        hwnd.modal_class = $.trim(hwnd.modal_class + ' modalLoading');
+        
+        loaded = false;
+        hwnd.addListener('modal.render', function () {
+            if (!loaded || this.window.hasClass('modalLoading')) {
+                return;
+            }
+            
+            loaded = false;
+            this.trigger('modal.fetch_content');
+        });
+        
+        /**
+         * Swap the loading state out for the response.
+         * 
+         * @param mixed data
+         */
+        apply = function (data)
+        {
+            var content, server, body;
+            content = {};
+            server  = '';
+            if ('json' == options.response_type) {
+                content = $.extend({}, $.isPlainObject(data.content) ? data.content : {});
+                server  = content.modal_class || '';
+                if (data.html && data.html.length > 0) {
+                    content.content = data.html;
+                }
+            } else {
+                body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(data);
+                content.content = body ? body[1] : data;
+            }
+            
+            content = $.extend(content, settings);
+            
+            // Keep the server's classes next to the modal's own.
+            content.modal_class = hwnd.modal_class.replace(/(^|\s)modalLoading(\s|$)/, ' ') + ' ' + server;
+            content.modal_class = $.trim(content.modal_class);
+            
+            loaded = true;
+            hwnd.transition(content);
+        };
+        
+        /**
+         * Report the failed request and show the error in the modal.
+         * 
+         * @param {jqXHR} xhr
+         * @param string  error
+         */
+        fail = function (xhr, error)
+        {
+            hwnd.error('Unable to fetch ' + location, {
+                'status' : xhr.status,
+                'error'  : error
+            });
+            
+            hwnd.trigger('modal.fetch_error', {
+                'url'         : location,
+                'status'      : xhr.status,
+                'status_text' : xhr.statusText,
+                'error'       : error
+            });
+            
+            if (!modal.manager.has(hwnd)) {
+                return;
+            }
+            
+            hwnd.transition({
+                'content'     : hwnd.translate('request_error'),
+                'modal_class' : $.trim(hwnd.modal_class.replace(/(^|\s)modalLoading(\s|$)/, ' ') + ' modalFetchError')
+            });
+        };
+        
+        hwnd.renderModal();
+        
+        if (options.cache && modal.fetch_cache.hasOwnProperty(cache_key)) {
+            apply(modal.fetch_cache[cache_key]);
+            return hwnd;
         }
         
-        request = {
+        hwnd.request = $.ajax({
             'url'      : location,
-            'type'     : 'POST',
-            'dataType' : 'json',
-            'data'     : request.data,
-            'success'  : function (data) {
-                var hwnd = new modal(data.content);
-                if (data.html.length > 0) {
-                    hwnd.content = data.html;
+            'type'     : options.method,
+            'dataType' : options.response_type,
+            'data'     : params,
+            'success'  : function (data, status, xhr) {
+                hwnd.request = null;
+                
+                if ('json' == options.response_type && !$.isPlainObject(data)) {
+                    fail(xhr, 'Invalid response');
+                    return;
+                }
+                
+                if (options.cache) {
+                    modal.fetch_cache[cache_key] = data;
                 }
                 
-                hwnd.settings(settings)
-                    .renderModal();
+                if (!modal.manager.has(hwnd)) {
+                    return;
+                }
                 
-                hwnd.trigger('modal.fetch_content');
+                apply(data);
             },
-            'error'    : function () {
-                this.content = ONESITE.tt('Error occurred during request!');
-                new modal({
-                    'content' : this.content
-                }).renderModal();
+            'error'    : function (xhr, status, error) {
+                hwnd.request = null;
+                if ('abort' != status) {
+                    fail(xhr, error);
+                }
             }
-        };
+        });
+        
+        hwnd.addListener('modal.close', function () {
+            if (this.request) {
+                this.request.abort();
+                this.request = null;
+            }
+        });
         
-        $.ajax(request);
+        return hwnd;
+    };
+    
+    /**
+     * The default request options used by fetchContent().
+     * 
+     *   - method        The HTTP method used to make the request.
+     *   - response_type Either "json" or "html".
+     *   - cache         Reuse the response for the same URL and params.
+     * 
+     * @var object
+     */
+    modal.fetch_defaults = {
+        'method'        : 'POST',
+        'response_type' : 'json',
+        'cache'         : false
+    };
+    
+    /**
+     * Responses stored by fetchContent() when caching is enabled, keyed by
+     * the method, URL and params.
+     * 
+     * @var object
+     */
+    modal.fetch_cache = {};
+    
+    /**
+     * Empty the fetchContent() response cache.
+     * 
+     * @returns void
+     */
+    modal.clearFetchCache = function ()
+    {
+        modal.fetch_cache = {};
     };
     
     /**
@@ -1117,20 +5355,239 @@
     };
     
     /**
-     * After all page resources have loaded, make sure that ModalJS's
-     * dependencies were included on the page.
+     * Convert a list of gallery items into {src, type, ...} objects.
+     * 
+     * Items can be URLs or objects with a src (or content for markup),
+     * and optionally a type of image, video, iframe or html, a title and
+     * a sub_title.
+     * 
+     * @param array items
+     * 
+     * @returns array
      */
-    $(window).load(function () {
-        if (typeof baseJsUrl === 'undefined') {
-            baseJsUrl = window.location.protocol
-                        + '//images.onesite.com/';
+    modal.normalizeGallery = function (items)
+    {
+        var normalized, idx, item;
+        normalized = [];
+        
+        for (idx = 0; idx < items.length; idx++) {
+            item = items[idx];
+            if (typeof item == 'string') {
+                item = {'src' : item};
+            }
+            
+            if (!item.type) {
+                if (typeof item.content != 'undefined') {
+                    item.type = 'html';
+                } else if (/\.(jpe?g|png|gif|webp|svg|bmp)(\?|#|$)/i.test(item.src)) {
+                    item.type = 'image';
+                } else if (/\.(mp4|webm|ogv|ogg|mov)(\?|#|$)/i.test(item.src)) {
+                    item.type = 'video';
+                } else {
+                    item.type = 'iframe';
+                }
+            }
+            
+            normalized.push(item);
+        }
+        
+        return normalized;
+    };
+    
+    /**
+     * Build the markup used to display a gallery item.
+     * 
+     * @param object item A normalized gallery item.
+     * 
+     * @returns {jQuery}|string
+     */
+    modal.galleryItemMarkup = function (item)
+    {
+        switch (item.type) {
+            case 'image':
+                return $('<img>').attr({'src' : item.src, 'alt' : item.alt || item.title || ''});
+                
+            case 'video':
+                return $('<video>').attr({'src' : item.src, 'controls' : 'controls'});
+                
+            case 'iframe':
+                return $('<iframe>').attr({
+                    'src'             : item.src,
+                    'frameborder'     : 0,
+                    'allowfullscreen' : 'allowfullscreen'
+                });
+                
+            default:
+                return item.content;
+        }
+    };
+    
+    /**
+     * Build the gallery items for every element in a data-modal-gallery
+     * group.
+     * 
+     * @param string group
+     * 
+     * @returns array
+     */
+    modal.galleryFromGroup = function (group)
+    {
+        var items = [];
+        $('[data-modal-gallery]').filter(function () {
+            return $(this).attr('data-modal-gallery') === group;
+        }).each(function () {
+            var element = $(this);
+            items.push({
+                'src'       : element.attr('data-modal-src') || element.attr('href'),
+                'type'      : element.attr('data-modal-type'),
+                'title'     : element.attr('data-modal-title'),
+                'sub_title' : element.attr('data-modal-sub-title'),
+                'element'   : this
+            });
+        });
+        
+        return items;
+    };
+    
+    /**
+     * The data-modal-* attributes that configure how the content is loaded,
+     * or describe a gallery item, rather than mapping to a modal setting.
+     * 
+     * @var array
+     */
+    modal.data_api_options = ['target', 'method', 'response_type', 'cache', 'params', 'src', 'type'];
+    
+    /**
+     * Build a modal's settings from an element's data-modal-* attributes.
+     * 
+     *    data-modal-sub-title="Hello" => {'sub_title' : 'Hello'}
+     * 
+     * @param {Element} element
+     * 
+     * @returns object
+     */
+    modal.settingsFromElement = function (element)
+    {
+        var settings, attributes, idx, match;
+        settings   = {};
+        attributes = $(element)[0].attributes;
+        
+        for (idx = 0; idx < attributes.length; idx++) {
+            match = attributes[idx].name.match(/^data-modal-(.+)$/);
+            if (!match) {
+                continue;
+            }
+            
+            settings[match[1].replace(/-/g, '_')] = modal._parseDataValue(attributes[idx].value);
+        }
+        
+        return settings;
+    };
+    
+    /**
+     * Convert a data attribute's value into the type it represents.
+     * 
+     * @param string value
+     * 
+     * @returns mixed
+     */
+    modal._parseDataValue = function (value)
+    {
+        if ('true' === value) {
+            return true;
+        } else if ('false' === value) {
+            return false;
+        } else if ('null' === value) {
+            return null;
+        } else if (/^-?\d+(\.\d+)?$/.test(value)) {
+            return parseFloat(value);
+        } else if (/^[\[{]/.test(value)) {
+            try {
+                return $.parseJSON(value);
+            } catch (ex) {}
+        }
+        
+        return value;
+    };
+    
+    /**
+     * Open the modal described by an element's data-modal-* attributes.
+     * 
+     * The content comes from the data-modal-target selector, from
+     * data-modal-content or from the element's href using fetchContent().
+     * 
+     * @param {Element} element
+     * 
+     * @returns {modal}
+     */
+    modal.openFromElement = function (element)
+    {
+        var settings, options, idx, key, href;
+        settings = modal.settingsFromElement(element);
+        options  = {};
+        
+        for (idx = 0; idx < modal.data_api_options.length; idx++) {
+            key = modal.data_api_options[idx];
+            if (settings.hasOwnProperty(key)) {
+                options[key] = settings[key];
+                delete settings[key];
+            }
+        }
+        
+        if (typeof settings.gallery == 'string') {
+            // The element's titles belong to its own gallery item.
+            delete settings.title;
+            delete settings.sub_title;
+            
+            settings.gallery       = modal.galleryFromGroup(settings.gallery);
+            settings.gallery_index = 0;
+            
+            for (idx = 0; idx < settings.gallery.length; idx++) {
+                if (settings.gallery[idx].element === element) {
+                    settings.gallery_index = idx;
+                }
+            }
+            
+            return modal.quickBox(settings);
+        }
+        
+        if (options.target) {
+            settings.content_selector = options.target;
+            return modal.quickBox(settings);
+        }
+        
+        href = $(element).attr('href');
+        if (!settings.hasOwnProperty('content') && href && '#' !== href.charAt(0)) {
+            return modal.fetchContent(href, options.params, settings, {
+                'method'        : options.method        || modal.fetch_defaults.method,
+                'response_type' : options.response_type || modal.fetch_defaults.response_type,
+                'cache'         : options.hasOwnProperty('cache') ? options.cache : modal.fetch_defaults.cache
+            });
         }
         
-        // Auto download JQuery UI if it wasn't included on the page.
-        if (typeof $('body').resizeable == 'undefined') {
-            $.getScript(baseJsUrl + 'jquery/jquery-ui.min.js');
+        if (!settings.hasOwnProperty('content') && href) {
+            settings.content_selector = href;
         }
         
+        return modal.quickBox(settings);
+    };
+    
+    /**
+     * The declarative data-API. Delegated to the document so elements
+     * added after the page loads work without being bound.
+     * 
+     *    <a href="/help" data-modal data-modal-title="Help">Help</a>
+     */
+    $(document).on('click.modalDataApi', '[data-modal], [data-modal-gallery]', function (e) {
+        e.preventDefault();
+        modal.openFromElement(this);
+    });
+    
+    /**
+     * After all page resources have loaded, make sure that ModalJS's
+     * dependencies were included on the page.
+     */
+    $(window).load(function () {
         if (typeof require_js_once !== 'function') {
             return;
         }